@@ -32,4 +32,21 @@ enum AjaxStatus: string {
 	 */
 	case SAVE_FAILED = 'save_failed';
 
+	/**
+	 * The requested item, e.g. a revision, doesn't exist.
+	 */
+	case NOT_FOUND = 'not_found';
+
+	/**
+	 * The stylesheet has been changed by someone else since the client
+	 * loaded the version its changes are based on.
+	 */
+	case CONFLICT = 'conflict';
+
+	/**
+	 * A class name is invalid or can't be used, e.g. as the new name of
+	 * a renamed class.
+	 */
+	case INVALID_CLASS_NAME = 'invalid_class_name';
+
 }
\ No newline at end of file
@@ -0,0 +1,46 @@
+<?php
+
+declare( strict_types = 1 );
+
+namespace Kntnt\Global_Styles;
+
+// Prevent direct file access for security.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Shared request verification for the plugin's AJAX handlers.
+ *
+ * Ensures that every AJAX endpoint applies the same nonce and capability
+ * checks and reports failures with the same AjaxStatus codes.
+ */
+trait AjaxVerification {
+
+	/**
+	 * Verifies the nonce and the user's permissions of an AJAX request.
+	 *
+	 * Sends a JSON error response and terminates the request if the
+	 * verification fails.
+	 *
+	 * @return void
+	 */
+	private function verify_ajax_request(): void {
+		// Verify request authenticity
+		if ( ! wp_verify_nonce( $_POST['nonce'] ?? '', 'kntnt-global-styles-nonce' ) ) {
+			wp_send_json_error( [
+				'message' => __( 'Security check failed.', 'kntnt-global-styles' ),
+				'code' => AjaxStatus::INVALID_NONCE->value,
+			] );
+		}
+
+		// Verify user has permission to edit theme options
+		if ( ! current_user_can( 'edit_theme_options' ) ) {
+			wp_send_json_error( [
+				'message' => __( 'Insufficient permissions.', 'kntnt-global-styles' ),
+				'code' => AjaxStatus::INSUFFICIENT_PERMISSIONS->value,
+			] );
+		}
+	}
+
+}
\ No newline at end of file
@@ -4,6 +4,8 @@ declare( strict_types = 1 );
 
 namespace Kntnt\Global_Styles;
 
+use LogicException;
+
 // Prevent direct file access for security.
 if ( ! defined( 'ABSPATH' ) ) {
 	exit;
@@ -45,22 +47,32 @@ final class Assets {
 	 * Adds custom CSS to the block editor for live preview functionality.
 	 *
 	 * Injects the current CSS content from the database into the editor
-	 * using a JavaScript function that handles both the main editor
-	 * frame and any nested iframes.
+	 * using a JavaScript function that handles every editor canvas, scoping
+	 * the CSS to the content if the editor isn't iframed.
 	 *
 	 * @return void
+	 * @throws LogicException If built assets are missing.
 	 */
 	public function add_custom_css_to_block_editor(): void {
-		// Get the raw CSS content from database for editor injection
-		$css_content = Plugin::get_css();
+		// Get the output of the CSS content from database for editor injection
+		$css_content = Preprocessor::get_output_css( Plugin::get_css(), Plugin::get_compiled_css() );
 		$safe_css = wp_strip_all_tags( $css_content );
 
 		// Defer script loading until block editor assets are being enqueued
 		add_action( 'enqueue_block_editor_assets', function () use ( $safe_css ) {
 			$live_preview_handle = Plugin::get_slug() . '-live-preview';
+			$assets_file = Plugin::get_plugin_dir() . 'js/live-preview.asset.php';
+
+			// Ensure the plugin has been built before use
+			if ( ! is_readable( $assets_file ) ) {
+				throw new LogicException( 'Missing built assets. Execute `npm run build` to generate required files.' );
+			}
+
+			// Load WordPress-generated asset metadata, with the block editor for scoping the CSS
+			$assets_meta = include $assets_file;
 
 			// Load the JavaScript function that handles CSS injection
-			wp_enqueue_script( $live_preview_handle, Plugin::get_plugin_url() . 'js/live-preview.js', [], Plugin::get_plugin_data()['Version'] ?? '1.1.0', true );
+			wp_enqueue_script( $live_preview_handle, Plugin::get_plugin_url() . 'js/live-preview.js', $assets_meta['dependencies'], $assets_meta['version'], true );
 
 			// Initialize editor styles with current CSS on page load
 			wp_add_inline_script( $live_preview_handle, sprintf( 'document.addEventListener("DOMContentLoaded", function() { 
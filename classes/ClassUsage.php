@@ -0,0 +1,405 @@
+<?php
+
+declare( strict_types = 1 );
+
+namespace Kntnt\Global_Styles;
+
+use Generator;
+use WP_Post;
+
+// Prevent direct file access for security.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Finds and renames CSS classes in the site's block content.
+ *
+ * Scans the content of posts, pages, templates, template parts, reusable
+ * blocks and other post types edited with the block editor for blocks
+ * whose `className` attribute contains a class, so the editor can show
+ * which classes of the stylesheet are in use and where. Renaming a class
+ * rewrites the blocks using it together with the stylesheet.
+ */
+final class ClassUsage {
+
+	use AjaxVerification;
+
+	/**
+	 * Regular expression for valid CSS class names.
+	 */
+	private const CLASS_NAME_PATTERN = '/^[a-zA-Z][\w-]*$/';
+
+	/**
+	 * Handles CSS editing functionality, used to persist renamed classes.
+	 *
+	 * @var Editor
+	 */
+	private readonly Editor $editor;
+
+	/**
+	 * Number of posts loaded at a time while scanning.
+	 */
+	private const BATCH_SIZE = 100;
+
+	/**
+	 * Post statuses whose content is scanned.
+	 */
+	private const POST_STATUSES = [ 'publish', 'future', 'draft', 'pending', 'private' ];
+
+	/**
+	 * Initializes the class usage component.
+	 *
+	 * @param Editor $editor Handles CSS editing functionality.
+	 */
+	public function __construct( Editor $editor ) {
+		$this->editor = $editor;
+	}
+
+	/**
+	 * Gets the usage of all classes in block content.
+	 *
+	 * @return array<string, array<int, array{id: int, title: string, type: string, count: int, link: string}>> Posts using each class, keyed by class name.
+	 */
+	public function get_usage(): array {
+		$usage = [];
+
+		foreach ( $this->get_posts() as $post ) {
+			$counts = $this->count_classes( parse_blocks( $post->post_content ) );
+			if ( ! $counts ) {
+				continue;
+			}
+
+			$description = $this->describe( $post );
+			foreach ( $counts as $class => $count ) {
+				$usage[ $class ][] = [ ...$description, 'count' => $count ];
+			}
+		}
+
+		ksort( $usage );
+
+		return $usage;
+	}
+
+	/**
+	 * Gets the post types whose content is scanned.
+	 *
+	 * Includes all post types edited with the block editor, together with
+	 * templates, template parts and reusable blocks.
+	 *
+	 * @return array<int, string> Post type names.
+	 */
+	public function get_post_types(): array {
+		$post_types = array_filter( get_post_types( [ 'show_in_rest' => true ] ), fn( $post_type ) => post_type_supports( $post_type, 'editor' ) );
+		$post_types = array_unique( array_merge( array_values( $post_types ), [ 'wp_block', 'wp_template', 'wp_template_part' ] ) );
+
+		/**
+		 * Filters the post types whose block content is scanned for classes.
+		 *
+		 * @param array<int, string> $post_types Post type names.
+		 */
+		return (array) apply_filters( 'kntnt-global-styles-usage-post-types', $post_types );
+	}
+
+	/**
+	 * Handles AJAX requests for the usage of classes.
+	 *
+	 * Responds with the posts using each class found in block content. The
+	 * comparison with the classes defined in the stylesheet is done in the
+	 * editor, against the CSS currently being edited.
+	 *
+	 * @return void
+	 */
+	public function handle_ajax_report(): void {
+		$this->verify_ajax_request();
+
+		wp_send_json_success( [
+			'usage' => (object) $this->get_usage(),
+		] );
+	}
+
+	/**
+	 * Handles AJAX requests to rename a class in block content.
+	 *
+	 * With `dry_run`, responds with the posts that would be changed and
+	 * whether the new name is already in use, without changing anything.
+	 * Otherwise the stylesheet with the class renamed, sent by the editor,
+	 * is persisted first, and then the class is renamed in the `className`
+	 * attribute and the markup of every block using it. Posts the user
+	 * may not edit are left unchanged.
+	 *
+	 * An undo is a rename back to the original name, limited to the posts
+	 * changed by the rename with `post_ids`.
+	 *
+	 * @return void
+	 */
+	public function handle_ajax_rename(): void {
+		$this->verify_ajax_request();
+
+		// Extract request parameters
+		$from = $_POST['from'] ?? '';
+		$to = $_POST['to'] ?? '';
+		$is_dry_run = isset( $_POST['dry_run'] ) && $_POST['dry_run'] === 'true';
+		$post_ids = isset( $_POST['post_ids'] ) ? array_values( array_filter( array_map( 'intval', explode( ',', $_POST['post_ids'] ) ) ) ) : null;
+		$css_content = $_POST['css_content'] ?? null;
+		$compiled_css = $_POST['compiled_css'] ?? null;
+		$base_version = $_POST['base_version'] ?? null;
+
+		// Only rename between valid, distinct class names
+		if ( $from === $to || ! preg_match( self::CLASS_NAME_PATTERN, $from ) || ! preg_match( self::CLASS_NAME_PATTERN, $to ) ) {
+			wp_send_json_error( [
+				'message' => __( 'Invalid class name.', 'kntnt-global-styles' ),
+				'code' => AjaxStatus::INVALID_CLASS_NAME->value,
+			] );
+		}
+
+		// Renaming into a class that is already used would merge the classes for good
+		$is_target_in_use = $post_ids === null && $this->is_used( $to );
+
+		if ( $is_dry_run ) {
+			wp_send_json_success( [
+				'posts' => $this->rename( $from, $to, $post_ids, true ),
+				'target_in_use' => $is_target_in_use,
+			] );
+		}
+
+		if ( $is_target_in_use ) {
+			wp_send_json_error( [
+				'message' => __( 'The new class name is already used in the content.', 'kntnt-global-styles' ),
+				'code' => AjaxStatus::INVALID_CLASS_NAME->value,
+			] );
+		}
+
+		// Rename the class in the stylesheet before the content, so a failure leaves the content intact
+		if ( $css_content !== null ) {
+			$this->editor->verify_base_version( $base_version );
+
+			$css_content = apply_filters( 'kntnt-global-styles-pre-save', $css_content );
+			if ( $css_content !== Plugin::get_css() && $this->editor->persist_css( $css_content, 0, $compiled_css ) === null ) {
+				wp_send_json_error( [
+					'message' => __( 'Failed to save CSS.', 'kntnt-global-styles' ),
+					'code' => AjaxStatus::SAVE_FAILED->value,
+				] );
+			}
+		}
+
+		wp_send_json_success( [
+			'posts' => $this->rename( $from, $to, $post_ids, false ),
+			'css_content' => Plugin::get_css(),
+			'css_version' => Plugin::get_css_version(),
+			'available_hints' => $this->editor->get_available_hints(),
+		] );
+	}
+
+	/**
+	 * Renames a class in the blocks of all posts using it.
+	 *
+	 * @param string          $from       The current class name.
+	 * @param string          $to         The new class name.
+	 * @param array<int, int>|null $post_ids   IDs of the posts to limit the rename to, or null for all posts.
+	 * @param bool                 $is_dry_run Whether to only find the posts, without changing them.
+	 *
+	 * @return array<int, array{id: int, title: string, type: string, link: string, count: int, editable: bool}> The posts using the class.
+	 */
+	private function rename( string $from, string $to, ?array $post_ids, bool $is_dry_run ): array {
+		$renamed = [];
+
+		// An empty limit, e.g. when undoing a rename that changed no posts, means no posts
+		if ( $post_ids === [] ) {
+			return $renamed;
+		}
+
+		foreach ( $this->get_posts( $post_ids ?? [] ) as $post ) {
+			if ( ! str_contains( $post->post_content, $from ) ) {
+				continue;
+			}
+
+			$blocks = parse_blocks( $post->post_content );
+			$count = $this->rename_in_blocks( $blocks, $from, $to );
+			if ( ! $count ) {
+				continue;
+			}
+
+			$is_editable = current_user_can( 'edit_post', $post->ID );
+			if ( ! $is_dry_run && $is_editable ) {
+				wp_update_post( wp_slash( [
+					'ID' => $post->ID,
+					'post_content' => serialize_blocks( $blocks ),
+				] ) );
+			}
+
+			$renamed[] = [ ...$this->describe( $post ), 'count' => $count, 'editable' => $is_editable ];
+		}
+
+		return $renamed;
+	}
+
+	/**
+	 * Renames a class in blocks, including their inner blocks.
+	 *
+	 * The class is renamed both in the `className` attribute and in the
+	 * `class` attributes of the block's saved markup, so the block stays
+	 * valid in the editor.
+	 *
+	 * @param array<int, array<string, mixed>> $blocks Parsed blocks, changed in place.
+	 * @param string                           $from   The current class name.
+	 * @param string                           $to     The new class name.
+	 *
+	 * @return int Number of renamed blocks.
+	 */
+	private function rename_in_blocks( array &$blocks, string $from, string $to ): int {
+		$count = 0;
+
+		foreach ( $blocks as &$block ) {
+			$class_name = $block['attrs']['className'] ?? '';
+			if ( is_string( $class_name ) && in_array( $from, preg_split( '/\s+/', $class_name, - 1, PREG_SPLIT_NO_EMPTY ), true ) ) {
+				$block['attrs']['className'] = $this->rename_in_class_list( $class_name, $from, $to );
+
+				// Rename the class in the markup saved by the block
+				$block['innerHTML'] = $this->rename_in_markup( $block['innerHTML'] ?? '', $from, $to );
+				foreach ( $block['innerContent'] as &$chunk ) {
+					if ( is_string( $chunk ) ) {
+						$chunk = $this->rename_in_markup( $chunk, $from, $to );
+					}
+				}
+				unset( $chunk );
+
+				$count ++;
+			}
+
+			// Blocks nested in this block, e.g. in groups and columns
+			if ( ! empty( $block['innerBlocks'] ) ) {
+				$count += $this->rename_in_blocks( $block['innerBlocks'], $from, $to );
+			}
+		}
+		unset( $block );
+
+		return $count;
+	}
+
+	/**
+	 * Renames a class in the `class` attributes of HTML markup.
+	 *
+	 * @param string $html The markup.
+	 * @param string $from The current class name.
+	 * @param string $to   The new class name.
+	 *
+	 * @return string The markup with the class renamed.
+	 */
+	private function rename_in_markup( string $html, string $from, string $to ): string {
+		return preg_replace_callback(
+			'/(\sclass=")([^"]*)(")/',
+			fn( $match ) => $match[1] . $this->rename_in_class_list( $match[2], $from, $to ) . $match[3],
+			$html
+		);
+	}
+
+	/**
+	 * Renames a class in a space-separated list of classes.
+	 *
+	 * @param string $classes The list of classes.
+	 * @param string $from    The current class name.
+	 * @param string $to      The new class name.
+	 *
+	 * @return string The list with the class renamed.
+	 */
+	private function rename_in_class_list( string $classes, string $from, string $to ): string {
+		return preg_replace( '/(?<=^|\s)' . preg_quote( $from, '/' ) . '(?=\s|$)/', $to, $classes );
+	}
+
+	/**
+	 * Checks whether a class is used in any block.
+	 *
+	 * @param string $class The class name.
+	 *
+	 * @return bool True if at least one block uses the class.
+	 */
+	private function is_used( string $class ): bool {
+		foreach ( $this->get_posts() as $post ) {
+			if ( str_contains( $post->post_content, $class ) && isset( $this->count_classes( parse_blocks( $post->post_content ) )[ $class ] ) ) {
+				return true;
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * Iterates over all posts with block content that may contain classes.
+	 *
+	 * Posts are loaded in batches to limit memory use on large sites.
+	 * Posts without any `className` attribute are skipped without parsing.
+	 *
+	 * @param array<int, int> $post_ids IDs of the posts to limit the iteration to, or an empty array for all posts.
+	 *
+	 * @return Generator<int, WP_Post> The posts.
+	 */
+	private function get_posts( array $post_ids = [] ): Generator {
+		$page = 1;
+		do {
+			$posts = get_posts( [
+				'post_type' => $this->get_post_types(),
+				'post_status' => self::POST_STATUSES,
+				'post__in' => $post_ids,
+				'posts_per_page' => self::BATCH_SIZE,
+				'paged' => $page ++,
+				'orderby' => 'ID',
+				'order' => 'ASC',
+				'update_post_meta_cache' => false,
+				'update_post_term_cache' => false,
+			] );
+
+			foreach ( $posts as $post ) {
+				if ( str_contains( $post->post_content, '"className"' ) ) {
+					yield $post;
+				}
+			}
+		} while ( count( $posts ) === self::BATCH_SIZE );
+	}
+
+	/**
+	 * Counts the classes in the `className` attributes of blocks.
+	 *
+	 * @param array<int, array<string, mixed>> $blocks Parsed blocks, including their inner blocks.
+	 *
+	 * @return array<string, int> Number of blocks using each class, keyed by class name.
+	 */
+	private function count_classes( array $blocks ): array {
+		$counts = [];
+
+		foreach ( $blocks as $block ) {
+			$class_name = $block['attrs']['className'] ?? '';
+			if ( is_string( $class_name ) ) {
+				foreach ( array_unique( preg_split( '/\s+/', $class_name, - 1, PREG_SPLIT_NO_EMPTY ) ) as $class ) {
+					$counts[ $class ] = ( $counts[ $class ] ?? 0 ) + 1;
+				}
+			}
+
+			// Blocks nested in this block, e.g. in groups and columns
+			foreach ( $this->count_classes( $block['innerBlocks'] ?? [] ) as $class => $count ) {
+				$counts[ $class ] = ( $counts[ $class ] ?? 0 ) + $count;
+			}
+		}
+
+		return $counts;
+	}
+
+	/**
+	 * Describes a post using a class for display in the editor.
+	 *
+	 * @param WP_Post $post The post.
+	 *
+	 * @return array{id: int, title: string, type: string, link: string} Post metadata.
+	 */
+	private function describe( WP_Post $post ): array {
+		$post_type = get_post_type_object( $post->post_type );
+		$title = get_the_title( $post );
+
+		return [
+			'id' => $post->ID,
+			'title' => $title !== '' ? $title : $post->post_name,
+			'type' => $post_type ? $post_type->labels->singular_name : $post->post_type,
+			'link' => (string) get_edit_post_link( $post, 'raw' ),
+		];
+	}
+
+}
\ No newline at end of file
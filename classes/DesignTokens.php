@@ -0,0 +1,46 @@
+<?php
+
+declare( strict_types = 1 );
+
+namespace Kntnt\Global_Styles;
+
+// Prevent direct file access for security.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Expands design tokens in the global stylesheet.
+ *
+ * The short form `token(color.primary)` of the custom properties of the
+ * presets in theme.json is kept in the stylesheet as it is written, and
+ * expanded to `var(--wp--preset--color--primary)` in the CSS that is
+ * output. Mirrors `expandTokens()` in `src/design-tokens.js`; keep the
+ * implementations in sync.
+ */
+final class DesignTokens {
+
+	/**
+	 * Regular expression for the short form of a token, or a comment, which
+	 * is left as it is, matching `src/design-tokens.js`.
+	 */
+	private const TOKEN_OR_COMMENT_PATTERN = '/(\/\*.*?(?:\*\/|\z))|\btoken\(\s*([a-z][\w-]*)\.([\w-]+)\s*\)/s';
+
+	/**
+	 * Expands the short form of tokens to the custom properties of the presets.
+	 *
+	 * Tokens in comments are left as they are.
+	 *
+	 * @param string $css The CSS content.
+	 *
+	 * @return string The CSS content with the tokens expanded.
+	 */
+	public static function expand( string $css ): string {
+		return preg_replace_callback(
+			self::TOKEN_OR_COMMENT_PATTERN,
+			fn( $match ) => $match[1] !== '' ? $match[1] : "var(--wp--preset--{$match[2]}--{$match[3]})",
+			$css
+		);
+	}
+
+}
@@ -19,59 +19,293 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 final class Editor {
 
+	use AjaxVerification;
+
+	/**
+	 * Regular expression for @group annotations, matching `src/hints.js`.
+	 */
+	private const GROUP_PATTERN = '/^\s*\/?\*+\s@group(?:\s+(?P<name>.*?))?\s*(?:\*\/.*)?$/';
+
+	/**
+	 * Regular expression for annotations naming a set of classes, e.g.
+	 * `@variants Size | size-s size-m size-l`, matching `src/hints.js`.
+	 * The placeholder is replaced with the annotation.
+	 */
+	private const CLASS_SET_PATTERN = '/^\s*\/?\*+\s@%s\s+(?P<name>[^|]*?)\s*\|\s*(?P<classes>.*?)\s*(?:\*\/.*)?$/';
+
+	/**
+	 * Modifiers that may follow the description of a hint, matching `src/hints.js`.
+	 */
+	private const MODIFIER_KEYS = 'deprecated|requires|conflicts|preview|blocks';
+
+	/**
+	 * Regular expression for block names, e.g. `core/button`, and block
+	 * categories, e.g. `text`, matching `src/hints.js`.
+	 */
+	private const BLOCK_SCOPE_PATTERN = '/^[a-z][a-z0-9-]*(?:\/[a-z][a-z0-9-]*)?$/';
+
+	/**
+	 * Keeps the revision history of the stylesheet.
+	 *
+	 * @var Revisions
+	 */
+	private readonly Revisions $revisions;
+
+	/**
+	 * Initializes the editor component.
+	 *
+	 * @param Revisions $revisions The revision history of the stylesheet.
+	 */
+	public function __construct( Revisions $revisions ) {
+		$this->revisions = $revisions;
+	}
+
 	/**
 	 * Retrieves CSS class hints available for the class selector dropdown.
 	 *
-	 * Parses @hint annotations from the stored CSS and applies filters
-	 * to allow other plugins to modify the available suggestions.
+	 * Parses @hint annotations from the enabled sheets of the stored CSS
+	 * and applies filters to allow other plugins to modify the available
+	 * suggestions.
 	 *
 	 * @return array<string, string> Associative array of class names and descriptions.
 	 */
 	public function get_available_hints(): array {
-		$css_content = Plugin::get_css();
-		if ( empty( $css_content ) ) {
-			return [];
-		}
-
-		$hints = $this->parse_hints_from_css( $css_content );
+		$hints = array_map( fn( $hint ) => $hint['description'], $this->parse_hints_from_css( Sheets::get_enabled_css( Plugin::get_css() ) ) );
 
 		// Allow other plugins to modify or add hints
 		return apply_filters( 'kntnt-global-styles-hints', $hints );
 	}
 
+	/**
+	 * Retrieves the annotations of the CSS class hints.
+	 *
+	 * Parses the @group annotations and the modifiers of the @hint
+	 * annotations from the enabled sheets of the stored CSS, and applies
+	 * filters to allow other plugins to modify them.
+	 *
+	 * @return array<string, array{group: string, deprecated: bool, replacement: string, requires: string[], conflicts: string[], preview: string, blocks: string[]}> Annotations keyed by class name.
+	 */
+	public function get_hint_annotations(): array {
+		$annotations = array_map( function ( $hint ) {
+			unset( $hint['description'] );
+			return $hint;
+		}, $this->parse_hints_from_css( Sheets::get_enabled_css( Plugin::get_css() ) ) );
+
+		/**
+		 * Filters the annotations of the CSS class hints.
+		 *
+		 * @param array<string, array<string, mixed>> $annotations Annotations keyed by class name.
+		 */
+		return apply_filters( 'kntnt-global-styles-hint-annotations', $annotations );
+	}
+
+	/**
+	 * Retrieves the sets of mutually exclusive class variants.
+	 *
+	 * Parses the @variants annotations from the enabled sheets of the
+	 * stored CSS, and applies filters to allow other plugins to modify them.
+	 *
+	 * @return array<int, array{name: string, classes: string[]}> The variant sets in stylesheet order.
+	 */
+	public function get_variant_sets(): array {
+		$variant_sets = $this->parse_variant_sets_from_css( Sheets::get_enabled_css( Plugin::get_css() ) );
+
+		/**
+		 * Filters the sets of mutually exclusive class variants.
+		 *
+		 * @param array<int, array{name: string, classes: string[]}> $variant_sets The variant sets.
+		 */
+		return apply_filters( 'kntnt-global-styles-variant-sets', $variant_sets );
+	}
+
+	/**
+	 * Retrieves the presets of classes.
+	 *
+	 * Parses the @preset annotations from the enabled sheets of the stored
+	 * CSS, and applies filters to allow other plugins to modify them.
+	 *
+	 * @return array<int, array{name: string, classes: string[]}> The presets in stylesheet order.
+	 */
+	public function get_presets(): array {
+		$presets = $this->parse_presets_from_css( Sheets::get_enabled_css( Plugin::get_css() ) );
+
+		/**
+		 * Filters the presets of classes.
+		 *
+		 * @param array<int, array{name: string, classes: string[]}> $presets The presets.
+		 */
+		return apply_filters( 'kntnt-global-styles-presets', $presets );
+	}
+
+	/**
+	 * Parses @variants annotations from CSS content.
+	 *
+	 * Each annotation names a set of classes of which a block should use at
+	 * most one. Sets with less than two valid classes are ignored. Mirrors
+	 * `parseVariantSetsFromCSS()` in `src/hints.js`.
+	 *
+	 * @param string $css The CSS content to parse.
+	 *
+	 * @return array<int, array{name: string, classes: string[]}> The variant sets in stylesheet order.
+	 */
+	private function parse_variant_sets_from_css( string $css ): array {
+		return $this->parse_class_sets_from_css( $css, 'variants', 2 );
+	}
+
+	/**
+	 * Parses @preset annotations from CSS content.
+	 *
+	 * Each annotation names a combination of classes that is applied in one
+	 * go. A later preset with the same name replaces an earlier one. Mirrors
+	 * `parsePresetsFromCSS()` in `src/hints.js`.
+	 *
+	 * @param string $css The CSS content to parse.
+	 *
+	 * @return array<int, array{name: string, classes: string[]}> The presets in stylesheet order.
+	 */
+	private function parse_presets_from_css( string $css ): array {
+		$presets = [];
+		foreach ( $this->parse_class_sets_from_css( $css, 'preset', 1 ) as $preset ) {
+			$presets[ $preset['name'] ] = $preset;
+		}
+		return array_values( $presets );
+	}
+
+	/**
+	 * Parses annotations naming a set of classes from CSS content.
+	 *
+	 * Used for @variants annotations, naming classes of which a block should
+	 * use at most one, and @preset annotations, naming classes applied in
+	 * one go. Sets without a name or with too few valid classes are ignored.
+	 * Mirrors `parseClassSets()` in `src/hints.js`; keep the implementations
+	 * in sync.
+	 *
+	 * @param string $css         The CSS content to parse.
+	 * @param string $annotation  The annotation, without the `@`.
+	 * @param int    $min_classes The least number of valid classes of a set.
+	 *
+	 * @return array<int, array{name: string, classes: string[]}> The sets in stylesheet order.
+	 */
+	private function parse_class_sets_from_css( string $css, string $annotation, int $min_classes ): array {
+		$pattern = sprintf( self::CLASS_SET_PATTERN, preg_quote( $annotation, '/' ) );
+		$class_sets = [];
+		foreach ( preg_split( '/\R/', $css ) as $line ) {
+			if ( ! preg_match( $pattern, $line, $match ) ) {
+				continue;
+			}
+			$classes = array_values( array_unique( $this->parse_class_list( $match['classes'] ) ) );
+			if ( $match['name'] !== '' && count( $classes ) >= $min_classes ) {
+				$class_sets[] = [
+					'name' => $match['name'],
+					'classes' => $classes,
+				];
+			}
+		}
+		return $class_sets;
+	}
+
 	/**
 	 * Parses @hint annotations from CSS content using exact regex from documentation.
 	 *
 	 * Extracts class names and optional descriptions from special comment
 	 * annotations that follow the pattern: @hint classname | description
 	 *
+	 * Modifiers may follow the description, e.g. `@deprecated replacement`,
+	 * and @group annotations on their own lines group the hints that follow
+	 * them until the next @group. Mirrors `parseAnnotatedHints()` in
+	 * `src/hints.js`; keep the implementations in sync.
+	 *
 	 * @param string $css The CSS content to parse for hints.
 	 *
-	 * @return array<string, string> Array mapping class names to descriptions.
+	 * @return array<string, array{description: string, group: string, deprecated: bool, replacement: string, requires: string[], conflicts: string[], preview: string, blocks: string[]}> Hints keyed by class name.
 	 */
 	private function parse_hints_from_css( string $css ): array {
 
 		$hints = [];
+		$group = '';
 
 		// Use the exact regex pattern documented in README.md - do not modify
-		$pattern = '/^\s*\/?\*+\s@hint\s+(?P<name>\S+)\s*(?:\|\s*(?P<description>.*?)\s*)?(?:\*\/.*)?$/m';
+		$pattern = '/^\s*\/?\*+\s@hint\s+(?P<name>\S+)\s*(?:\|\s*(?P<description>.*?)\s*)?(?:\*\/.*)?$/';
 
-		if ( preg_match_all( $pattern, $css, $matches, PREG_SET_ORDER ) ) {
-			foreach ( $matches as $match ) {
-				$class_name = trim( $match['name'] );
-				$description = isset( $match['description'] ) ? trim( $match['description'] ) : '';
+		foreach ( preg_split( '/\R/', $css ) as $line ) {
+			if ( preg_match( self::GROUP_PATTERN, $line, $match ) ) {
+				$group = $match['name'] ?? '';
+				continue;
+			}
 
-				// Validate class name follows CSS naming conventions
-				if ( ! empty( $class_name ) && preg_match( '/^[a-zA-Z][\w-]*$/', $class_name ) ) {
-					$hints[ $class_name ] = $description;
+			if ( ! preg_match( $pattern, $line, $match ) ) {
+				continue;
+			}
+
+			$class_name = trim( $match['name'] );
+
+			// Validate class name follows CSS naming conventions
+			if ( empty( $class_name ) || ! preg_match( '/^[a-zA-Z][\w-]*$/', $class_name ) ) {
+				continue;
+			}
+
+			// Separate the modifiers from the description
+			$description = isset( $match['description'] ) ? trim( $match['description'] ) : '';
+			$modifiers = '';
+			if ( preg_match( '/(?:^|\s)@(?:' . self::MODIFIER_KEYS . ')\b/', $description, $start, PREG_OFFSET_CAPTURE ) ) {
+				$modifiers = substr( $description, $start[0][1] );
+				$description = trim( substr( $description, 0, $start[0][1] ) );
+			}
+
+			$hint = [
+				'description' => $description,
+				'group' => $group,
+				'deprecated' => false,
+				'replacement' => '',
+				'requires' => [],
+				'conflicts' => [],
+				'preview' => '',
+				'blocks' => [],
+			];
+
+			preg_match_all( '/@(?P<key>' . self::MODIFIER_KEYS . ')\b\s*(?P<value>.*?)\s*(?=\s@(?:' . self::MODIFIER_KEYS . ')\b|$)/', $modifiers, $modifier_matches, PREG_SET_ORDER );
+			foreach ( $modifier_matches as $modifier ) {
+				$key = $modifier['key'];
+				$value = $modifier['value'];
+				if ( $key === 'deprecated' ) {
+					$hint['deprecated'] = true;
+					$hint['replacement'] = $this->parse_class_list( $value )[0] ?? '';
+				}
+				elseif ( $key === 'requires' || $key === 'conflicts' ) {
+					$hint[ $key ] = $this->parse_class_list( $value );
+				}
+				elseif ( $key === 'blocks' ) {
+					$hint['blocks'] = array_values( array_filter(
+						preg_split( '/[\s,]+/', $value, - 1, PREG_SPLIT_NO_EMPTY ),
+						fn( $scope ) => (bool) preg_match( self::BLOCK_SCOPE_PATTERN, $scope )
+					) );
+				}
+				else {
+					$hint[ $key ] = $value;
 				}
 			}
+
+			$hints[ $class_name ] = $hint;
 		}
 
 		return $hints;
 
 	}
 
+	/**
+	 * Splits the value of a hint modifier into valid class names.
+	 *
+	 * @param string $value Class names separated by spaces or commas.
+	 *
+	 * @return string[] The valid class names.
+	 */
+	private function parse_class_list( string $value ): array {
+		return array_values( array_filter(
+			preg_split( '/[\s,]+/', $value, - 1, PREG_SPLIT_NO_EMPTY ),
+			fn( $class_name ) => (bool) preg_match( '/^[a-zA-Z][\w-]*$/', $class_name )
+		) );
+	}
+
 	/**
 	 * Enqueues JavaScript and CSS assets for the block editor.
 	 *
@@ -108,7 +342,11 @@ final class Editor {
 			'ajax_url' => admin_url( 'admin-ajax.php' ),
 			'nonce' => wp_create_nonce( 'kntnt-global-styles-nonce' ),
 			'css_content' => Plugin::get_css(),
+			'css_version' => Plugin::get_css_version(),
 			'available_hints' => $this->get_available_hints(),
+			'hint_annotations' => (object) $this->get_hint_annotations(),
+			'variant_sets' => $this->get_variant_sets(),
+			'presets' => $this->get_presets(),
 		] );
 	}
 
@@ -117,46 +355,46 @@ final class Editor {
 	 *
 	 * Processes both preview updates (temporary) and full saves (persistent).
 	 * Validates user permissions and nonce before processing the request.
+	 * Full saves based on an outdated version of the stylesheet are rejected,
+	 * so that changes made by others in the meantime aren't overwritten.
 	 *
 	 * @return void
 	 */
 	public function handle_ajax_save(): void {
-		// Verify request authenticity
-		if ( ! wp_verify_nonce( $_POST['nonce'] ?? '', 'kntnt-global-styles-nonce' ) ) {
-			wp_send_json_error( [
-				'message' => __( 'Security check failed.', 'kntnt-global-styles' ),
-				'code' => AjaxStatus::INVALID_NONCE->value,
-			] );
-		}
-
-		// Verify user has permission to edit theme options
-		if ( ! current_user_can( 'edit_theme_options' ) ) {
-			wp_send_json_error( [
-				'message' => __( 'Insufficient permissions.', 'kntnt-global-styles' ),
-				'code' => AjaxStatus::INSUFFICIENT_PERMISSIONS->value,
-			] );
-		}
+		// Verify request authenticity and user permissions
+		$this->verify_ajax_request();
 
 		// Extract request parameters
 		$css_content = $_POST['css_content'] ?? '';
+		$compiled_css = $_POST['compiled_css'] ?? null;
 		$should_persist = isset( $_POST['persist'] ) && $_POST['persist'] === 'true';
+		$post_id = (int) ( $_POST['post_id'] ?? 0 );
+		$base_version = $_POST['base_version'] ?? null;
 
 		// Apply pre-save filter for CSS modification/sanitization
 		$css_content = apply_filters( 'kntnt-global-styles-pre-save', $css_content );
 
 		if ( $should_persist ) {
-			// Full save - update database and generate static file
-			if ( $this->save_css_content( $css_content ) ) {
-				// Clear cached file information after successful save
-				Assets::clear_file_cache();
+			// Reject changes based on a version that has since been overwritten
+			$this->verify_base_version( $base_version );
 
+			// Full save - update database and generate static file
+			$revision_id = $this->persist_css( $css_content, $post_id, $compiled_css );
+			if ( $revision_id !== null ) {
 				// Get updated hints from the newly saved CSS
 				$updated_hints = $this->get_available_hints();
 
 				wp_send_json_success( [
-					'message' => __( 'CSS saved successfully.', 'kntnt-global-styles' ),
+					'message' => $revision_id
+						? __( 'CSS saved successfully.', 'kntnt-global-styles' )
+						: __( 'CSS saved successfully, but it could not be added to the revision history.', 'kntnt-global-styles' ),
 					'css_content' => $css_content,
 					'available_hints' => $updated_hints,
+					'hint_annotations' => (object) $this->get_hint_annotations(),
+					'variant_sets' => $this->get_variant_sets(),
+					'presets' => $this->get_presets(),
+					'css_version' => Plugin::get_css_version(),
+					'revision_id' => $revision_id,
 					'persisted' => true,
 				] );
 			}
@@ -169,7 +407,7 @@ final class Editor {
 		}
 		else {
 			// Preview save - only parse hints for live preview without persistence
-			$updated_hints = $this->parse_hints_from_css( $css_content );
+			$updated_hints = array_map( fn( $hint ) => $hint['description'], $this->parse_hints_from_css( Sheets::get_enabled_css( $css_content ) ) );
 			$updated_hints = apply_filters( 'kntnt-global-styles-hints', $updated_hints );
 
 			wp_send_json_success( [
@@ -181,25 +419,107 @@ final class Editor {
 		}
 	}
 
+	/**
+	 * Persists CSS content and keeps it as a revision.
+	 *
+	 * Saves the CSS to the database and the static file, and adds the
+	 * persisted version to the revision history. In preprocessor mode, the
+	 * compiled CSS is required, since only the browser can compile it.
+	 *
+	 * @param string      $css          The CSS content to persist.
+	 * @param int         $post_id      ID of the post whose save triggered the persistence, or 0.
+	 * @param string|null $compiled_css The CSS compiled from the content in preprocessor mode, or null.
+	 *
+	 * @return int|null The ID of the new revision, 0 if the CSS was saved but the revision couldn't be stored, or null if saving failed.
+	 */
+	public function persist_css( string $css, int $post_id, ?string $compiled_css = null ): ?int {
+		// Remember the stored CSS for the revision history
+		$previous_css = Plugin::get_css();
+
+		if ( ! $this->save_css_content( $css, $compiled_css ) ) {
+			return null;
+		}
+
+		// Clear cached file information after successful save
+		Assets::clear_file_cache();
+
+		// Keep the persisted version as a revision
+		return $this->revisions->add( Plugin::get_css(), $post_id, $previous_css ) ?? 0;
+	}
+
+	/**
+	 * Rejects changes based on an outdated version of the stylesheet.
+	 *
+	 * Sends a JSON error response with the stored stylesheet and its
+	 * version, and terminates the request, if the stylesheet has been
+	 * changed since the client loaded the version its changes are based on.
+	 *
+	 * @param string|null $base_version Version the changes are based on, or null to skip the check.
+	 *
+	 * @return void
+	 */
+	public function verify_base_version( ?string $base_version ): void {
+		if ( $base_version !== null && $base_version !== Plugin::get_css_version() ) {
+			wp_send_json_error( [
+				'message' => __( 'The stylesheet has been changed by someone else since you started editing it.', 'kntnt-global-styles' ),
+				'code' => AjaxStatus::CONFLICT->value,
+				'css_content' => Plugin::get_css(),
+				'css_version' => Plugin::get_css_version(),
+			] );
+		}
+	}
+
+	/**
+	 * Handles AJAX requests for a fresh nonce.
+	 *
+	 * Lets the editor recover from an expired nonce without reloading the
+	 * page. Only logged-in users reach this handler, and only those who
+	 * may edit the stylesheet get a nonce.
+	 *
+	 * @return void
+	 */
+	public function handle_ajax_refresh_nonce(): void {
+		if ( ! current_user_can( 'edit_theme_options' ) ) {
+			wp_send_json_error( [
+				'message' => __( 'Insufficient permissions.', 'kntnt-global-styles' ),
+				'code' => AjaxStatus::INSUFFICIENT_PERMISSIONS->value,
+			] );
+		}
+
+		wp_send_json_success( [
+			'nonce' => wp_create_nonce( 'kntnt-global-styles-nonce' ),
+		] );
+	}
+
 	/**
 	 * Saves CSS content to both database and static file system.
 	 *
 	 * Handles the dual-storage approach: raw CSS in database for editing,
-	 * minified CSS as static file for frontend performance.
+	 * minified CSS as static file for frontend performance. In preprocessor
+	 * mode, the compiled CSS is stored as well, and written to the file.
 	 *
-	 * @param string $css The CSS content to save.
+	 * @param string      $css          The CSS content to save.
+	 * @param string|null $compiled_css The CSS compiled from the content in preprocessor mode, or null.
 	 *
 	 * @return bool True if both database and file operations succeeded.
 	 */
-	private function save_css_content( string $css ): bool {
+	private function save_css_content( string $css, ?string $compiled_css = null ): bool {
 		// Sanitize CSS for safe storage
 		$sanitized_css = $this->sanitize_css( $css );
 
+		// Never output SCSS that hasn't been compiled
+		if ( Preprocessor::is_enabled( $sanitized_css ) && $compiled_css === null ) {
+			error_log( 'Kntnt Global Styles: Compiled CSS missing for preprocessed CSS' );
+			return false;
+		}
+		$sanitized_compiled_css = Preprocessor::is_enabled( $sanitized_css ) ? $this->sanitize_css( $compiled_css ) : '';
+
 		// Save to database for editor access
 		$db_saved = Plugin::set_css( $sanitized_css );
+		Plugin::set_compiled_css( $sanitized_compiled_css );
 
-		// Generate static file for frontend performance
-		$file_saved = $this->save_css_to_file( $sanitized_css );
+		// Generate static file for frontend performance, from the enabled sheets or the compiled CSS only
+		$file_saved = $this->save_css_to_file( Preprocessor::get_output_css( $sanitized_css, $sanitized_compiled_css ) );
 
 		return $db_saved && $file_saved;
 	}
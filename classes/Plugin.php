@@ -57,6 +57,20 @@ final class Plugin {
 	 */
 	private readonly Editor $editor;
 
+	/**
+	 * Keeps the revision history of the stylesheet.
+	 *
+	 * @var Revisions
+	 */
+	private readonly Revisions $revisions;
+
+	/**
+	 * Finds where classes are used in block content.
+	 *
+	 * @var ClassUsage
+	 */
+	private readonly ClassUsage $class_usage;
+
 	/**
 	 * Handles frontend and editor asset enqueueing.
 	 *
@@ -71,7 +85,9 @@ final class Plugin {
 	 * Called only once when the singleton instance is first created.
 	 */
 	private function __construct() {
-		$this->editor = new Editor;
+		$this->revisions = new Revisions;
+		$this->editor = new Editor( $this->revisions );
+		$this->class_usage = new ClassUsage( $this->editor );
 		$this->updater = new Updater;
 		$this->assets = new Assets;
 
@@ -307,6 +323,39 @@ final class Plugin {
 		return self::set_option( $css, 'css' );
 	}
 
+	/**
+	 * Gets the CSS compiled from the CSS content in preprocessor mode.
+	 *
+	 * @return string Compiled CSS or empty string if the content isn't preprocessed.
+	 */
+	public static function get_compiled_css(): string {
+		return self::get_option( 'compiled_css' ) ?? '';
+	}
+
+	/**
+	 * Sets the CSS compiled from the CSS content in preprocessor mode.
+	 *
+	 * @param string $css Compiled CSS to save, or an empty string if the content isn't preprocessed.
+	 *
+	 * @return bool True on success, false on failure or if the value is unchanged.
+	 */
+	public static function set_compiled_css( string $css ): bool {
+		return self::set_option( $css, 'compiled_css' );
+	}
+
+	/**
+	 * Gets a version identifier of the CSS content in the database.
+	 *
+	 * The identifier changes whenever the stored CSS changes, so clients
+	 * can tell whether the stylesheet has been changed by someone else
+	 * since they loaded it.
+	 *
+	 * @return string Version identifier.
+	 */
+	public static function get_css_version(): string {
+		return md5( self::get_css() );
+	}
+
 	/**
 	 * Gets the directory path where CSS files are stored.
 	 *
@@ -379,6 +428,19 @@ final class Plugin {
 
 		// Handle AJAX requests for saving CSS from the editor modal
 		add_action( 'wp_ajax_kntnt_global_styles_save_css', [ $this->editor, 'handle_ajax_save' ] );
+
+		// Handle AJAX requests for a fresh nonce when the current one has expired
+		add_action( 'wp_ajax_kntnt_global_styles_refresh_nonce', [ $this->editor, 'handle_ajax_refresh_nonce' ] );
+
+		// Handle AJAX requests for the revision history of the stylesheet
+		add_action( 'wp_ajax_kntnt_global_styles_get_revisions', [ $this->revisions, 'handle_ajax_list' ] );
+		add_action( 'wp_ajax_kntnt_global_styles_get_revision', [ $this->revisions, 'handle_ajax_get' ] );
+
+		// Handle AJAX requests for the usage of classes in block content
+		add_action( 'wp_ajax_kntnt_global_styles_get_class_usage', [ $this->class_usage, 'handle_ajax_report' ] );
+
+		// Handle AJAX requests to rename a class in the stylesheet and block content
+		add_action( 'wp_ajax_kntnt_global_styles_rename_class', [ $this->class_usage, 'handle_ajax_rename' ] );
 	}
 
 	/**
@@ -0,0 +1,51 @@
+<?php
+
+declare( strict_types = 1 );
+
+namespace Kntnt\Global_Styles;
+
+// Prevent direct file access for security.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Tells the source of the global stylesheet from the CSS that is output.
+ *
+ * In preprocessor mode, turned on by a `/* @preprocessor scss *\/` comment,
+ * the stylesheet is written in SCSS and compiled in the browser. The
+ * source is stored for editing, and the compiled CSS, which is sent along
+ * with it when it is saved, is output. Mirrors `src/preprocessor.js`;
+ * keep the implementations in sync.
+ */
+final class Preprocessor {
+
+	/**
+	 * Regular expression for the comment turning on preprocessor mode, matching `src/preprocessor.js`.
+	 */
+	private const PREPROCESSOR_PATTERN = '/\/\*\s*@preprocessor\s+scss\s*\*\//';
+
+	/**
+	 * Checks whether CSS content is in preprocessor mode.
+	 *
+	 * @param string $css The CSS content.
+	 *
+	 * @return bool True if the content is SCSS to be compiled.
+	 */
+	public static function is_enabled( string $css ): bool {
+		return (bool) preg_match( self::PREPROCESSOR_PATTERN, $css );
+	}
+
+	/**
+	 * Gets the CSS that is output for CSS content.
+	 *
+	 * @param string $css          The CSS content.
+	 * @param string $compiled_css The CSS compiled from the content in preprocessor mode.
+	 *
+	 * @return string The compiled CSS in preprocessor mode, and the CSS of the enabled sheets with the tokens expanded otherwise.
+	 */
+	public static function get_output_css( string $css, string $compiled_css ): string {
+		return self::is_enabled( $css ) ? $compiled_css : DesignTokens::expand( Sheets::get_enabled_css( $css ) );
+	}
+
+}
\ No newline at end of file
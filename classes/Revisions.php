@@ -0,0 +1,179 @@
+<?php
+
+declare( strict_types = 1 );
+
+namespace Kntnt\Global_Styles;
+
+// Prevent direct file access for security.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Keeps a revision history of the global stylesheet.
+ *
+ * Every persisted version of the stylesheet is stored as a revision with
+ * its author, timestamp and the post whose save triggered it. Revisions
+ * are kept in a separate option that isn't autoloaded, since they are
+ * only needed when the history is viewed in the editor.
+ */
+final class Revisions {
+
+	use AjaxVerification;
+
+	/**
+	 * Default maximum number of revisions to keep.
+	 */
+	private const DEFAULT_MAX_REVISIONS = 50;
+
+	/**
+	 * Adds a revision of the stylesheet.
+	 *
+	 * If the history is empty, the currently stored stylesheet is first
+	 * added as the initial revision, so the version that existed before
+	 * the history was introduced isn't lost. Its author and date aren't
+	 * known, and are stored as 0.
+	 *
+	 * @param string $css          The persisted CSS content.
+	 * @param int    $post_id      ID of the post whose save triggered the revision, or 0.
+	 * @param string $previous_css The CSS content that was stored before this save.
+	 *
+	 * @return int|null The ID of the new revision, or null if the revisions couldn't be stored.
+	 */
+	public function add( string $css, int $post_id, string $previous_css = '' ): ?int {
+		$revisions = $this->get_all();
+
+		// Keep the stylesheet that existed before the first revision
+		if ( empty( $revisions ) && $previous_css !== '' && $previous_css !== $css ) {
+			$revisions[] = [
+				'id' => 1,
+				'css' => $previous_css,
+				'author' => 0,
+				'timestamp' => 0,
+				'post_id' => 0,
+			];
+		}
+
+		$id = empty( $revisions ) ? 1 : max( array_column( $revisions, 'id' ) ) + 1;
+
+		$revisions[] = [
+			'id' => $id,
+			'css' => $css,
+			'author' => get_current_user_id(),
+			'timestamp' => time(),
+			'post_id' => $post_id,
+		];
+
+		// Drop the oldest revisions beyond the configured maximum
+		$max_revisions = max( 1, (int) apply_filters( 'kntnt-global-styles-max-revisions', self::DEFAULT_MAX_REVISIONS ) );
+		$revisions = array_slice( $revisions, - $max_revisions );
+
+		if ( ! update_option( self::get_option_name(), $revisions, false ) ) {
+			error_log( 'Kntnt Global Styles: Failed to store revision ' . $id );
+			return null;
+		}
+
+		return $id;
+	}
+
+	/**
+	 * Gets a single revision.
+	 *
+	 * @param int $id The revision ID.
+	 *
+	 * @return array{id: int, css: string, author: int, timestamp: int, post_id: int}|null The revision or null if not found.
+	 */
+	public function get( int $id ): ?array {
+		foreach ( $this->get_all() as $revision ) {
+			if ( $revision['id'] === $id ) {
+				return $revision;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Gets all revisions, oldest first.
+	 *
+	 * The timestamp and author of a revision are 0 if they aren't known.
+	 *
+	 * @return array<int, array{id: int, css: string, author: int, timestamp: int, post_id: int}> The revisions.
+	 */
+	public function get_all(): array {
+		$revisions = get_option( self::get_option_name(), [] );
+		return is_array( $revisions ) ? $revisions : [];
+	}
+
+	/**
+	 * Gets the name of the option where revisions are stored.
+	 *
+	 * @return string Option name derived from the plugin slug.
+	 */
+	public static function get_option_name(): string {
+		return str_replace( '-', '_', Plugin::get_slug() ) . '_revisions';
+	}
+
+	/**
+	 * Handles AJAX requests for the list of revisions.
+	 *
+	 * Responds with the metadata of all revisions, newest first. The CSS
+	 * content is left out to keep the response small; it is fetched per
+	 * revision when needed.
+	 *
+	 * @return void
+	 */
+	public function handle_ajax_list(): void {
+		$this->verify_ajax_request();
+
+		$revisions = array_map( [ $this, 'describe' ], array_reverse( $this->get_all() ) );
+
+		wp_send_json_success( [
+			'revisions' => $revisions,
+		] );
+	}
+
+	/**
+	 * Handles AJAX requests for the CSS content of a single revision.
+	 *
+	 * @return void
+	 */
+	public function handle_ajax_get(): void {
+		$this->verify_ajax_request();
+
+		$revision = $this->get( (int) ( $_POST['revision_id'] ?? 0 ) );
+
+		if ( ! $revision ) {
+			wp_send_json_error( [
+				'message' => __( 'Revision not found.', 'kntnt-global-styles' ),
+				'code' => AjaxStatus::NOT_FOUND->value,
+			] );
+		}
+
+		$response = $this->describe( $revision );
+		$response['css_content'] = $revision['css'];
+
+		wp_send_json_success( $response );
+	}
+
+	/**
+	 * Describes a revision for display in the editor.
+	 *
+	 * @param array{id: int, css: string, author: int, timestamp: int, post_id: int} $revision The revision.
+	 *
+	 * @return array{id: int, author: string, timestamp: int, post_id: int, post_title: string, post_link: string} Revision metadata.
+	 */
+	private function describe( array $revision ): array {
+		$author = $revision['author'] ? get_userdata( $revision['author'] ) : false;
+		$post = $revision['post_id'] ? get_post( $revision['post_id'] ) : null;
+
+		return [
+			'id' => $revision['id'],
+			'author' => $author ? $author->display_name : '',
+			'timestamp' => $revision['timestamp'],
+			'post_id' => $revision['post_id'],
+			'post_title' => $post ? get_the_title( $post ) : '',
+			'post_link' => $post ? (string) get_edit_post_link( $post, 'raw' ) : '',
+		];
+	}
+
+}
\ No newline at end of file
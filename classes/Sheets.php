@@ -0,0 +1,99 @@
+<?php
+
+declare( strict_types = 1 );
+
+namespace Kntnt\Global_Styles;
+
+// Prevent direct file access for security.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Reads the named sheets of the global stylesheet.
+ *
+ * The stylesheet can be split into sheets, each introduced by a
+ * `/* @sheet name *\/` comment on a line of its own, and disabled by
+ * adding `@disabled` after the name. The sheets are stored together as
+ * one stylesheet, so they are saved and kept as revisions atomically.
+ * Only enabled sheets are output, in the order they appear. Mirrors
+ * `src/sheets.js`; keep the implementations in sync.
+ */
+final class Sheets {
+
+	/**
+	 * Regular expression for the comment introducing a sheet, matching `src/sheets.js`.
+	 */
+	private const SHEET_PATTERN = '/^\/\*\s*@sheet\s+(?P<name>.*?)(?P<disabled>\s+@disabled)?\s*\*\/\s*$/';
+
+	/**
+	 * Splits CSS content into sheets.
+	 *
+	 * CSS before the first sheet comment belongs to a sheet named `main`,
+	 * as does all CSS if there are no sheet comments. The `main` sheet is
+	 * left out if there is nothing in it but whitespace and other sheets
+	 * follow it.
+	 *
+	 * @param string $css The CSS content.
+	 *
+	 * @return array<int, array{name: string, enabled: bool, css: string}> The sheets in cascade order.
+	 */
+	public static function parse( string $css ): array {
+		$sheets = [];
+		$current = null;
+
+		foreach ( explode( "\n", $css ) as $line ) {
+			if ( preg_match( self::SHEET_PATTERN, $line, $match ) && $match['name'] !== '' ) {
+				$sheets[] = [
+					'name' => $match['name'],
+					'enabled' => empty( $match['disabled'] ),
+					'is_leading' => false,
+					'lines' => [],
+				];
+				$current = array_key_last( $sheets );
+			}
+			else {
+				if ( $current === null ) {
+					$sheets[] = [
+						'name' => 'main',
+						'enabled' => true,
+						'is_leading' => true,
+						'lines' => [],
+					];
+					$current = array_key_last( $sheets );
+				}
+				$sheets[ $current ]['lines'][] = $line;
+			}
+		}
+
+		// CSS before the first sheet comment is dropped if there is nothing in it
+		if ( count( $sheets ) > 1 && $sheets[0]['is_leading'] && trim( implode( '', $sheets[0]['lines'] ) ) === '' ) {
+			array_shift( $sheets );
+		}
+
+		return array_map( fn( $sheet ) => [
+			'name' => $sheet['name'],
+			'enabled' => $sheet['enabled'],
+			'css' => implode( "\n", $sheet['lines'] ),
+		], $sheets );
+	}
+
+	/**
+	 * Gets the CSS of the enabled sheets, in cascade order.
+	 *
+	 * If all sheets are enabled, the CSS content is returned as it is.
+	 *
+	 * @param string $css The CSS content.
+	 *
+	 * @return string The CSS that is output.
+	 */
+	public static function get_enabled_css( string $css ): string {
+		$sheets = self::parse( $css );
+		$enabled = array_filter( $sheets, fn( $sheet ) => $sheet['enabled'] );
+		if ( count( $enabled ) === count( $sheets ) ) {
+			return $css;
+		}
+		return implode( "\n", array_column( $enabled, 'css' ) );
+	}
+
+}
\ No newline at end of file
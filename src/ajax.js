@@ -0,0 +1,74 @@
+/**
+ * AJAX communication with the plugin's WordPress backend.
+ *
+ * All endpoints are WordPress admin AJAX actions that expect a nonce and
+ * respond with the standard `wp_send_json_success()`/`wp_send_json_error()`
+ * format. Errors carry one of the `AjaxStatus` codes defined in PHP.
+ */
+
+/**
+ * Status codes of failed AJAX requests.
+ *
+ * Mirrors the `AjaxStatus` enum in PHP.
+ */
+export const AJAX_STATUS = {
+  INVALID_NONCE: 'invalid_nonce',
+  INSUFFICIENT_PERMISSIONS: 'insufficient_permissions',
+  SAVE_FAILED: 'save_failed',
+  NOT_FOUND: 'not_found',
+  CONFLICT: 'conflict',
+  INVALID_CLASS_NAME: 'invalid_class_name',
+}
+
+/**
+ * Sends a request to a WordPress admin AJAX action of the plugin.
+ *
+ * @param {string} action - The AJAX action name.
+ * @param {Object} [params] - Additional request parameters.
+ * @returns {Promise<Object>} The parsed response with `success` and `data`.
+ * @throws {Error} If the request fails on the HTTP level.
+ */
+export const ajaxRequest = async (action, params = {}) => {
+  // Prepare form data for the AJAX request
+  const formData = new FormData()
+  formData.append('action', action)
+  formData.append('nonce', window.kntnt_global_styles_data?.nonce || '')
+  Object.entries(params).forEach(([key, value]) => {
+    formData.append(key, value)
+  })
+
+  const response = await fetch(
+    window.kntnt_global_styles_data?.ajax_url || '',
+    {
+      method: 'POST',
+      body: formData,
+    }
+  )
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+  }
+
+  return response.json()
+}
+
+/**
+ * Replaces an expired nonce with a fresh one from the server.
+ *
+ * Succeeds as long as the user is still logged in, which is the common
+ * case when the editor has been left open for a long time.
+ *
+ * @returns {Promise<boolean>} True if the nonce was refreshed.
+ */
+export const refreshNonce = async () => {
+  try {
+    const result = await ajaxRequest('kntnt_global_styles_refresh_nonce')
+    if (result.success && result.data?.nonce && window.kntnt_global_styles_data) {
+      window.kntnt_global_styles_data.nonce = result.data.nonce
+      return true
+    }
+  } catch (error) {
+    console.error('Kntnt Global Styles: Failed to refresh nonce:', error)
+  }
+  return false
+}
@@ -0,0 +1,65 @@
+import { replaceVariant } from './class-variants'
+
+/**
+ * Reading and changing the classes of blocks in the editor.
+ *
+ * Works on the `className` attribute of blocks in the block editor store,
+ * so the changes are undoable like any other change to the blocks.
+ */
+
+/**
+ * Splits the value of a `className` attribute into class names.
+ *
+ * @param {string|undefined} className - The attribute value.
+ * @returns {Array<string>} The class names.
+ */
+export const splitClassNames = (className) => (className || '').split(/\s+/).filter(Boolean)
+
+/**
+ * Gets the classes of a block.
+ *
+ * @param {string} clientId - The block's client ID.
+ * @returns {Array<string>} The class names.
+ */
+export const getBlockClasses = (clientId) => splitClassNames(window.wp.data.select('core/block-editor').getBlockAttributes(clientId)?.className)
+
+/**
+ * Gets the classes that all of a number of blocks have.
+ *
+ * @param {Array<string>} clientIds - The blocks' client IDs.
+ * @returns {Array<string>} The shared class names, in the order of the first block.
+ */
+export const getSharedBlockClasses = (clientIds) => {
+  const [first = [], ...others] = clientIds.map(getBlockClasses)
+  return first.filter((className) => others.every((classes) => classes.includes(className)))
+}
+
+/**
+ * Changes the classes of blocks in one undoable step.
+ *
+ * @param {Array<string>} clientIds - The blocks' client IDs.
+ * @param {Function} transform - Callback receiving the classes of a block and returning its new classes.
+ */
+export const updateBlockClasses = (clientIds, transform) => {
+  const attributes = Object.fromEntries(clientIds.map((clientId) => [
+    clientId,
+    { className: [...new Set(transform(getBlockClasses(clientId)))].join(' ') },
+  ]))
+  window.wp.data.dispatch('core/block-editor').updateBlockAttributes(clientIds, attributes, true)
+}
+
+/**
+ * Adds classes to the classes of a block.
+ *
+ * An added class that belongs to a variant set replaces the variant of
+ * the set the block had.
+ *
+ * @param {Array<string>} classNames - The classes of the block.
+ * @param {Array<string>} added - The classes to add.
+ * @param {Array<Object>} variantSets - The variant sets with their names and classes.
+ * @returns {Array<string>} The classes of the block with the classes added.
+ */
+export const addClasses = (classNames, added, variantSets) => added.reduce((classes, className) => {
+  const variantSet = variantSets.find((set) => set.classes.includes(className))
+  return variantSet ? replaceVariant(classes, variantSet.classes, className) : [...new Set([...classes, className])]
+}, classNames)
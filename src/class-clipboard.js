@@ -0,0 +1,136 @@
+import { BlockSettingsMenuControls } from '@wordpress/block-editor'
+import { MenuItem } from '@wordpress/components'
+import { useSelect } from '@wordpress/data'
+import { __, _n, sprintf } from '@wordpress/i18n'
+import { useShortcut, store as keyboardShortcutsStore } from '@wordpress/keyboard-shortcuts'
+import { getSharedBlockClasses, updateBlockClasses, addClasses } from './block-classes'
+
+/**
+ * Copying and pasting of classes between blocks.
+ *
+ * Classes are copied from the selected blocks and pasted onto other
+ * blocks with the block options menu or keyboard shortcuts. The copied
+ * classes are kept for the current page only.
+ */
+
+/**
+ * Name of the keyboard shortcut that copies classes.
+ */
+export const COPY_SHORTCUT = 'kntnt-global-styles/copy-classes'
+
+/**
+ * Name of the keyboard shortcut that pastes classes.
+ */
+export const PASTE_SHORTCUT = 'kntnt-global-styles/paste-classes'
+
+/**
+ * The copied classes, or null if nothing has been copied.
+ */
+let copiedClasses = null
+
+/**
+ * Shows a short confirmation in the editor.
+ *
+ * @param {string} message - The message to show.
+ */
+const notify = (message) => {
+  window.wp.data.dispatch('core/notices').createNotice('info', message, { type: 'snackbar', isDismissible: true })
+}
+
+/**
+ * Copies the classes of blocks.
+ *
+ * With several blocks, the classes they all have are copied.
+ *
+ * @param {Array<string>} clientIds - The client IDs of the blocks to copy from.
+ */
+const copyClasses = (clientIds) => {
+  copiedClasses = getSharedBlockClasses(clientIds)
+  notify(copiedClasses.length
+    ? sprintf(
+      /* translators: %d: number of classes */
+      _n('%d class copied.', '%d classes copied.', copiedClasses.length, 'kntnt-global-styles'),
+      copiedClasses.length
+    )
+    : __('The block has no classes to copy.', 'kntnt-global-styles'))
+}
+
+/**
+ * Pastes the copied classes onto blocks.
+ *
+ * The classes are added to those the blocks already have. A class of a
+ * variant set replaces the variant of the set a block had.
+ *
+ * @param {Array<string>} clientIds - The client IDs of the blocks to paste onto.
+ */
+const pasteClasses = (clientIds) => {
+  if (!copiedClasses?.length) {
+    return
+  }
+  const variantSets = window.kntnt_global_styles_data?.variant_sets || []
+  updateBlockClasses(clientIds, (classes) => addClasses(classes, copiedClasses, variantSets))
+  notify(sprintf(
+    /* translators: %d: number of blocks */
+    _n('Classes pasted onto %d block.', 'Classes pasted onto %d blocks.', clientIds.length, 'kntnt-global-styles'),
+    clientIds.length
+  ))
+}
+
+/**
+ * Copy and paste actions for classes.
+ *
+ * Adds "Copy classes" and "Paste classes" to the options menu of the
+ * block toolbar, for one or several selected blocks, and handles the
+ * keyboard shortcuts for them.
+ *
+ * @returns {JSX.Element} The menu items.
+ */
+export const ClassClipboard = () => {
+  const selectedClientIds = useSelect((select) => select('core/block-editor').getSelectedBlockClientIds(), [])
+  const shortcuts = useSelect((select) => ({
+    copy: select(keyboardShortcutsStore).getShortcutRepresentation(COPY_SHORTCUT),
+    paste: select(keyboardShortcutsStore).getShortcutRepresentation(PASTE_SHORTCUT),
+  }), [])
+
+  useShortcut(COPY_SHORTCUT, (event) => {
+    if (selectedClientIds.length) {
+      event.preventDefault()
+      copyClasses(selectedClientIds)
+    }
+  })
+
+  useShortcut(PASTE_SHORTCUT, (event) => {
+    if (selectedClientIds.length) {
+      event.preventDefault()
+      pasteClasses(selectedClientIds)
+    }
+  })
+
+  return (
+    <BlockSettingsMenuControls>
+      {({ selectedClientIds: clientIds, onClose }) => (
+        <>
+          <MenuItem
+            shortcut={shortcuts.copy}
+            onClick={() => {
+              copyClasses(clientIds)
+              onClose()
+            }}
+          >
+            {__('Copy classes', 'kntnt-global-styles')}
+          </MenuItem>
+          <MenuItem
+            shortcut={shortcuts.paste}
+            disabled={!copiedClasses?.length}
+            onClick={() => {
+              pasteClasses(clientIds)
+              onClose()
+            }}
+          >
+            {__('Paste classes', 'kntnt-global-styles')}
+          </MenuItem>
+        </>
+      )}
+    </BlockSettingsMenuControls>
+  )
+}
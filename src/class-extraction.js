@@ -0,0 +1,327 @@
+import { Button, CheckboxControl, Notice, TextControl } from '@wordpress/components'
+import { useState } from '@wordpress/element'
+import { __, sprintf } from '@wordpress/i18n'
+import { CLASS_NAME_PATTERN } from './hints'
+import { getDraft } from './draft'
+import { applyDraftCSS, isPublishingWithPost } from './persistence'
+import { getKnownClasses } from './unknown-classes'
+import { splitClassNames } from './block-classes'
+import { appendToEnabledSheet } from './sheets'
+
+/**
+ * Creation of global classes from the styles of blocks.
+ *
+ * Styles set with the color, typography, spacing, dimensions and border
+ * controls of the block editor are kept in the attributes of the block
+ * and rendered on the block only. They can be turned into a rule for a
+ * new class in the global stylesheet, so that the same look can be
+ * applied to other blocks.
+ */
+
+/**
+ * Sides of the box model, with the suffixes of their CSS properties.
+ */
+const SIDES = { top: 'top', right: 'right', bottom: 'bottom', left: 'left' }
+
+/**
+ * Corners of a border radius, with the infixes of their CSS properties.
+ */
+const CORNERS = { topLeft: 'top-left', topRight: 'top-right', bottomRight: 'bottom-right', bottomLeft: 'bottom-left' }
+
+/**
+ * Block attributes holding styles, and the CSS properties they set.
+ *
+ * Attributes with a `preset` hold the slug of a preset of the theme, and
+ * the others a CSS value. A value of an attribute with `sides` may be an
+ * object with a value for each side or corner. The order is the order
+ * of the declarations in the rule.
+ */
+const STYLE_ATTRIBUTES = [
+  { path: ['textColor'], property: 'color', preset: 'color' },
+  { path: ['style', 'color', 'text'], property: 'color' },
+  { path: ['backgroundColor'], property: 'background-color', preset: 'color' },
+  { path: ['style', 'color', 'background'], property: 'background-color' },
+  { path: ['gradient'], property: 'background', preset: 'gradient' },
+  { path: ['style', 'color', 'gradient'], property: 'background' },
+  { path: ['fontFamily'], property: 'font-family', preset: 'font-family' },
+  { path: ['style', 'typography', 'fontFamily'], property: 'font-family' },
+  { path: ['fontSize'], property: 'font-size', preset: 'font-size' },
+  { path: ['style', 'typography', 'fontSize'], property: 'font-size' },
+  { path: ['style', 'typography', 'fontStyle'], property: 'font-style' },
+  { path: ['style', 'typography', 'fontWeight'], property: 'font-weight' },
+  { path: ['style', 'typography', 'lineHeight'], property: 'line-height' },
+  { path: ['style', 'typography', 'letterSpacing'], property: 'letter-spacing' },
+  { path: ['style', 'typography', 'textDecoration'], property: 'text-decoration' },
+  { path: ['style', 'typography', 'textTransform'], property: 'text-transform' },
+  { path: ['style', 'typography', 'writingMode'], property: 'writing-mode' },
+  { path: ['style', 'dimensions', 'minHeight'], property: 'min-height' },
+  { path: ['style', 'spacing', 'padding'], property: 'padding', sides: SIDES },
+  { path: ['style', 'spacing', 'margin'], property: 'margin', sides: SIDES },
+  { path: ['borderColor'], property: 'border-color', preset: 'color' },
+  { path: ['style', 'border', 'color'], property: 'border-color' },
+  { path: ['style', 'border', 'style'], property: 'border-style' },
+  { path: ['style', 'border', 'width'], property: 'border-width' },
+  ...Object.entries(SIDES).flatMap(([side, suffix]) => ['color', 'style', 'width'].map((key) => ({
+    path: ['style', 'border', side, key],
+    property: `border-${suffix}-${key}`,
+  }))),
+  { path: ['style', 'border', 'radius'], property: 'border-radius', sides: CORNERS },
+  { path: ['style', 'shadow'], property: 'box-shadow' },
+]
+
+/**
+ * Gets the value at a path of nested objects.
+ *
+ * @param {Object} object - The outermost object.
+ * @param {Array<string>} path - The keys leading to the value.
+ * @returns {*} The value, or undefined if the path doesn't exist.
+ */
+const getPath = (object, path) => path.reduce((value, key) => value?.[key], object)
+
+/**
+ * Converts a value of a style attribute to CSS.
+ *
+ * References to presets, e.g. `var:preset|color|primary`, become the
+ * custom properties of the presets, e.g. `var(--wp--preset--color--primary)`.
+ *
+ * @param {string|number} value - The attribute value.
+ * @returns {string} The CSS value.
+ */
+const toCSSValue = (value) => {
+  const text = String(value).trim()
+  return text.startsWith('var:') ? `var(--wp--${text.slice(4).split('|').join('--')})` : text
+}
+
+/**
+ * Gets the CSS declarations of the styles of a block.
+ *
+ * @param {Object} attributes - The block's attributes.
+ * @returns {Array<Object>} The declarations, each with its `property`, its `value` and the `path` of the attribute it comes from.
+ */
+export const getStyleDeclarations = (attributes) => STYLE_ATTRIBUTES.flatMap(({ path, property, preset, sides }) => {
+  const value = getPath(attributes, path)
+  if (value === undefined || value === null || value === '') {
+    return []
+  }
+  if (preset) {
+    return [{ property, value: `var(--wp--preset--${preset}--${value})`, path }]
+  }
+  if (typeof value === 'object') {
+    return Object.entries(sides || {})
+      .filter(([key]) => value[key] !== undefined && value[key] !== null && value[key] !== '')
+      .map(([key, part]) => ({
+        property: property === 'border-radius' ? `border-${part}-radius` : `${property}-${part}`,
+        value: toCSSValue(value[key]),
+        path,
+      }))
+  }
+  return [{ property, value: toCSSValue(value), path }]
+})
+
+/**
+ * Creates a rule for a class, annotated with @hint.
+ *
+ * @param {string} className - The class name.
+ * @param {string} description - The description of the hint, or an empty string for none.
+ * @param {Array<Object>} declarations - The declarations with their properties and values.
+ * @returns {string} The annotated rule.
+ */
+export const createClassRule = (className, description, declarations) => [
+  `/* @hint ${className}${description ? ' | ' + description : ''} */`,
+  `.${className} {`,
+  ...declarations.map(({ property, value }) => `\t${property}: ${value};`),
+  '}',
+].join('\n')
+
+/**
+ * Removes the value at a path of nested objects.
+ *
+ * Objects left empty are removed as well, as the block editor does when
+ * a style is reset.
+ *
+ * @param {Object} object - The outermost object.
+ * @param {Array<string>} path - The keys leading to the value.
+ * @returns {Object} A copy of the object without the value.
+ */
+const removePath = (object, [key, ...path]) => {
+  const copy = { ...object }
+  if (path.length && copy[key] && typeof copy[key] === 'object') {
+    copy[key] = removePath(copy[key], path)
+  }
+  if (!path.length || !Object.keys(copy[key] || {}).length) {
+    delete copy[key]
+  }
+  return copy
+}
+
+/**
+ * Removes the styles of declarations from the attributes of a block.
+ *
+ * @param {Object} attributes - The block's attributes.
+ * @param {Array<Object>} declarations - The declarations whose attributes to remove.
+ * @returns {Object} The changed attributes, with undefined for removed attributes.
+ */
+export const removeStyleAttributes = (attributes, declarations) => declarations.reduce((changed, { path: [key, ...path] }) => {
+  const value = path.length ? removePath(key in changed ? changed[key] : attributes[key], path) : undefined
+  return { ...changed, [key]: value && Object.keys(value).length ? value : undefined }
+}, {})
+
+/**
+ * Validates the name of a new class.
+ *
+ * @param {string} className - The class name.
+ * @returns {string|null} The reason the class can't be created, or null if the name is valid.
+ */
+const getClassNameError = (className) => {
+  if (!className) {
+    return __('Give the class a name.', 'kntnt-global-styles')
+  }
+  if (!CLASS_NAME_PATTERN.test(className)) {
+    return sprintf(
+      /* translators: %s: class name */
+      __('“%s” is not a valid class name.', 'kntnt-global-styles'),
+      className
+    )
+  }
+  if (getKnownClasses().has(className)) {
+    return sprintf(
+      /* translators: %s: class name */
+      __('“%s” is already used in the global stylesheet.', 'kntnt-global-styles'),
+      className
+    )
+  }
+  return null
+}
+
+/**
+ * Control in the Global Styles panel for creating a global class from the styles of a block.
+ *
+ * The rule of the class is added to the end of the last enabled sheet of
+ * the draft stylesheet with a @hint annotation, which is previewed at once and published like any other
+ * change, and the class is applied to the block. The styles of the block
+ * override the class, so they are removed from the block unless the
+ * user chooses to keep them.
+ *
+ * @param {Object} props - Component props.
+ * @param {string} props.clientId - The block's client ID.
+ * @param {Object} props.attributes - The block's attributes.
+ * @returns {JSX.Element} The control.
+ */
+export const CreateClassControl = ({ clientId, attributes }) => {
+  const [isOpen, setIsOpen] = useState(false)
+  const [className, setClassName] = useState('')
+  const [description, setDescription] = useState('')
+  const [isClearing, setIsClearing] = useState(true)
+  const [error, setError] = useState(null)
+
+  const declarations = getStyleDeclarations(attributes)
+
+  /**
+   * Closes the form and resets it.
+   */
+  const close = () => {
+    setIsOpen(false)
+    setClassName('')
+    setDescription('')
+    setIsClearing(true)
+    setError(null)
+  }
+
+  /**
+   * Adds the rule to the draft stylesheet and applies the class to the block.
+   */
+  const handleCreate = () => {
+    const trimmedName = className.trim()
+    const trimmedDescription = description.trim().replace(/\*\//g, '')
+
+    const nameError = getClassNameError(trimmedName)
+    if (nameError) {
+      setError(nameError)
+      return
+    }
+
+    const css = getDraft() ?? window.kntnt_global_styles_data?.css_content ?? ''
+    const rule = createClassRule(trimmedName, trimmedDescription, declarations)
+    applyDraftCSS(appendToEnabledSheet(css, rule))
+
+    // Mark document as having CSS changes for save persistence
+    if (isPublishingWithPost()) {
+      window.wp.data.dispatch('core/editor').editPost({ meta: { _kntnt_css_changed: Date.now() } })
+    }
+
+    window.wp.data.dispatch('core/block-editor').updateBlockAttributes(clientId, {
+      ...(isClearing ? removeStyleAttributes(attributes, declarations) : {}),
+      className: [...new Set([...splitClassNames(attributes.className), trimmedName])].join(' '),
+    })
+
+    window.wp.data.dispatch('core/notices').createNotice(
+      'success',
+      isPublishingWithPost()
+        ? sprintf(
+          /* translators: %s: class name */
+          __('Class “%s” added to the stylesheet. Save the document to make it permanent.', 'kntnt-global-styles'),
+          trimmedName
+        )
+        : sprintf(
+          /* translators: %s: class name */
+          __('Class “%s” added to the stylesheet. Publish the styles in the Global Style Editor to make it permanent.', 'kntnt-global-styles'),
+          trimmedName
+        ),
+      { type: 'snackbar', isDismissible: true }
+    )
+
+    close()
+  }
+
+  if (!isOpen) {
+    return (
+      <Button variant="link" onClick={() => setIsOpen(true)} disabled={!declarations.length}>
+        {__('Create global class from this block', 'kntnt-global-styles')}
+      </Button>
+    )
+  }
+
+  return (
+    <div className="kntnt-global-styles-create-class">
+      {error && (
+        <Notice status="error" isDismissible={false}>
+          {error}
+        </Notice>
+      )}
+      <TextControl
+        label={__('Class name', 'kntnt-global-styles')}
+        value={className}
+        onChange={(value) => {
+          setClassName(value)
+          setError(null)
+        }}
+        __nextHasNoMarginBottom
+      />
+      <TextControl
+        label={__('Description', 'kntnt-global-styles')}
+        value={description}
+        onChange={setDescription}
+        help={__('Shown next to the class in the drop-down list.', 'kntnt-global-styles')}
+        __nextHasNoMarginBottom
+      />
+      <pre className="kntnt-global-styles-create-class__rule">
+        {createClassRule(className.trim() || 'class-name', description.trim(), declarations)}
+      </pre>
+      <CheckboxControl
+        label={__('Remove these styles from the block', 'kntnt-global-styles')}
+        help={__('Styles set on the block override the class.', 'kntnt-global-styles')}
+        checked={isClearing}
+        onChange={setIsClearing}
+        __nextHasNoMarginBottom
+      />
+      <div className="kntnt-global-styles-create-class__actions">
+        <Button variant="secondary" onClick={close}>
+          {__('Cancel', 'kntnt-global-styles')}
+        </Button>
+        <Button variant="primary" onClick={handleCreate}>
+          {__('Create class', 'kntnt-global-styles')}
+        </Button>
+      </div>
+    </div>
+  )
+}
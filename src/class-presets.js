@@ -0,0 +1,291 @@
+import { Button, Notice, TextControl } from '@wordpress/components'
+import { useState, useMemo } from '@wordpress/element'
+import { __, sprintf } from '@wordpress/i18n'
+import { parsePresetsFromCSS, updatePresetInCSS, CLASS_NAME_PATTERN } from './hints'
+import { getDraft } from './draft'
+import { applyDraftCSS, isPublishingWithPost } from './persistence'
+
+/**
+ * Prefix of the values of preset options in the class selector. Class
+ * names can't contain a colon, so the values can't be mistaken for classes.
+ */
+export const PRESET_OPTION_PREFIX = 'preset:'
+
+/**
+ * Splits a list of classes typed by the user.
+ *
+ * @param {string} value - Class names separated by spaces or commas.
+ * @returns {Array<string>} The class names, valid or not, without duplicates.
+ */
+const splitClasses = (value) => [...new Set(value.split(/[\s,]+/).filter(Boolean))]
+
+/**
+ * Validates a preset.
+ *
+ * The name ends up in a comment in the stylesheet, so it can't contain
+ * the vertical bar separating it from the classes or the end of a comment.
+ *
+ * @param {string} name - The name of the preset.
+ * @param {Array<string>} classes - The classes of the preset.
+ * @param {Array<Object>} presets - The existing presets.
+ * @param {string} [currentName] - The current name of a preset being edited.
+ * @returns {string|null} The reason the preset can't be saved, or null if it is valid.
+ */
+const getPresetError = (name, classes, presets, currentName = '') => {
+  if (!name) {
+    return __('Give the preset a name.', 'kntnt-global-styles')
+  }
+  if (name.includes('|') || name.includes('*/')) {
+    return __('The name of a preset can\'t contain “|” or “*/”.', 'kntnt-global-styles')
+  }
+  if (name !== currentName && presets.some((preset) => preset.name === name)) {
+    return __('There is already a preset with this name.', 'kntnt-global-styles')
+  }
+  if (!classes.length) {
+    return __('Add at least one class to the preset.', 'kntnt-global-styles')
+  }
+  const invalid = classes.find((className) => !CLASS_NAME_PATTERN.test(className))
+  if (invalid) {
+    return sprintf(
+      /* translators: %s: class name */
+      __('“%s” is not a valid class name.', 'kntnt-global-styles'),
+      invalid
+    )
+  }
+  return null
+}
+
+/**
+ * Form for the name and classes of a preset.
+ *
+ * @param {Object} props - Component props.
+ * @param {Object} props.preset - The preset to edit, with its name and classes.
+ * @param {Array<Object>} props.presets - The existing presets.
+ * @param {Function} props.onSave - Callback receiving the edited preset.
+ * @param {Function} props.onCancel - Callback for cancelling the edit.
+ * @returns {JSX.Element} The form.
+ */
+const PresetForm = ({ preset, presets, onSave, onCancel }) => {
+  const [name, setName] = useState(preset.name)
+  const [classes, setClasses] = useState(preset.classes.join(' '))
+
+  const error = getPresetError(name.trim(), splitClasses(classes), presets, preset.name)
+
+  return (
+    <div className="kntnt-global-styles-presets__form">
+      <TextControl
+        label={__('Name', 'kntnt-global-styles')}
+        value={name}
+        onChange={setName}
+        __nextHasNoMarginBottom
+      />
+      <TextControl
+        label={__('Classes', 'kntnt-global-styles')}
+        value={classes}
+        onChange={setClasses}
+        help={error}
+        __nextHasNoMarginBottom
+      />
+      <Button variant="secondary" onClick={onCancel}>
+        {__('Cancel', 'kntnt-global-styles')}
+      </Button>
+      <Button variant="primary" disabled={!!error} onClick={() => onSave({ name: name.trim(), classes: splitClasses(classes) })}>
+        {__('Save preset', 'kntnt-global-styles')}
+      </Button>
+    </div>
+  )
+}
+
+/**
+ * Presets view of the Global Style Editor.
+ *
+ * Lists the presets of the stylesheet being edited, and lets them be
+ * added, edited and deleted. Presets are @preset annotations in the
+ * stylesheet, so the changes are made to the CSS in the editor and are
+ * previewed and published like any other change.
+ *
+ * @param {Object} props - Component props.
+ * @param {string} props.css - The CSS currently in the editor.
+ * @param {Function} props.onChange - Callback receiving the changed CSS.
+ * @returns {JSX.Element} The presets view.
+ */
+export const PresetManager = ({ css, onChange }) => {
+  const [editing, setEditing] = useState(null)
+
+  const presets = useMemo(() => parsePresetsFromCSS(css), [css])
+
+  /**
+   * Saves the preset being edited to the CSS.
+   *
+   * @param {Object} preset - The edited preset.
+   */
+  const handleSave = (preset) => {
+    onChange(updatePresetInCSS(css, editing.name, preset))
+    setEditing(null)
+  }
+
+  /**
+   * Removes a preset from the CSS.
+   *
+   * @param {Object} preset - The preset to delete.
+   */
+  const handleDelete = (preset) => {
+    const isConfirmed = window.confirm(sprintf(
+      /* translators: %s: preset name */
+      __('Do you really want to delete the preset “%s”? The classes are kept on blocks that use them.', 'kntnt-global-styles'),
+      preset.name
+    ))
+    if (isConfirmed) {
+      onChange(updatePresetInCSS(css, preset.name, null))
+    }
+  }
+
+  return (
+    <div className="kntnt-global-styles-presets">
+      <div className="kntnt-global-styles-presets__header">
+        <p>{__('A preset applies a combination of classes in one go. Presets are kept as @preset annotations in the stylesheet, so changes to them are previewed and published with the styles.', 'kntnt-global-styles')}</p>
+        <Button variant="secondary" onClick={() => setEditing({ name: '', classes: [] })} disabled={!!editing}>
+          {__('Add preset', 'kntnt-global-styles')}
+        </Button>
+      </div>
+      {editing && (
+        <PresetForm
+          key={editing.name}
+          preset={editing}
+          presets={presets}
+          onSave={handleSave}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+      {presets.length ? (
+        <table className="kntnt-global-styles-usage__table">
+          <thead>
+            <tr>
+              <th>{__('Preset', 'kntnt-global-styles')}</th>
+              <th>{__('Classes', 'kntnt-global-styles')}</th>
+              <th><span className="screen-reader-text">{__('Actions', 'kntnt-global-styles')}</span></th>
+            </tr>
+          </thead>
+          <tbody>
+            {presets.map((preset) => (
+              <tr key={preset.name}>
+                <td>{preset.name}</td>
+                <td><code>{preset.classes.join(' ')}</code></td>
+                <td className="kntnt-global-styles-presets__actions">
+                  <Button variant="link" onClick={() => setEditing(preset)} disabled={!!editing}>
+                    {__('Edit', 'kntnt-global-styles')}
+                  </Button>
+                  <Button variant="link" isDestructive onClick={() => handleDelete(preset)} disabled={!!editing}>
+                    {__('Delete', 'kntnt-global-styles')}
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p>{__('The stylesheet has no presets.', 'kntnt-global-styles')}</p>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Control in the Global Styles panel for saving the classes of a block as a preset.
+ *
+ * The preset is added to the draft stylesheet, which is previewed at once
+ * and published like any other change. Saving a preset under the name of
+ * an existing one replaces it.
+ *
+ * @param {Object} props - Component props.
+ * @param {Array<string>} props.classNames - The classes applied to the block.
+ * @returns {JSX.Element} The control.
+ */
+export const SavePresetControl = ({ classNames }) => {
+  const [isOpen, setIsOpen] = useState(false)
+  const [name, setName] = useState('')
+  const [error, setError] = useState(null)
+
+  /**
+   * Adds the preset to the draft stylesheet.
+   */
+  const handleSave = () => {
+    const css = getDraft() ?? window.kntnt_global_styles_data?.css_content ?? ''
+    const presets = parsePresetsFromCSS(css)
+    const trimmedName = name.trim()
+    const isReplaced = presets.some((preset) => preset.name === trimmedName)
+
+    const presetError = getPresetError(trimmedName, classNames, presets, isReplaced ? trimmedName : '')
+    if (presetError) {
+      setError(presetError)
+      return
+    }
+
+    applyDraftCSS(updatePresetInCSS(css, isReplaced ? trimmedName : '', { name: trimmedName, classes: classNames }))
+
+    // Mark document as having CSS changes for save persistence
+    if (isPublishingWithPost()) {
+      window.wp.data.dispatch('core/editor').editPost({ meta: { _kntnt_css_changed: Date.now() } })
+    }
+
+    window.wp.data.dispatch('core/notices').createNotice(
+      'success',
+      isPublishingWithPost()
+        ? sprintf(
+          /* translators: %s: preset name */
+          __('Preset “%s” added to the stylesheet. Save the document to make it permanent.', 'kntnt-global-styles'),
+          trimmedName
+        )
+        : sprintf(
+          /* translators: %s: preset name */
+          __('Preset “%s” added to the stylesheet. Publish the styles in the Global Style Editor to make it permanent.', 'kntnt-global-styles'),
+          trimmedName
+        ),
+      { type: 'snackbar', isDismissible: true }
+    )
+
+    setIsOpen(false)
+    setName('')
+    setError(null)
+  }
+
+  if (!isOpen) {
+    return (
+      <Button variant="link" onClick={() => setIsOpen(true)} disabled={!classNames.length}>
+        {__('Save classes as preset', 'kntnt-global-styles')}
+      </Button>
+    )
+  }
+
+  return (
+    <div className="kntnt-global-styles-save-preset">
+      {error && (
+        <Notice status="error" isDismissible={false}>
+          {error}
+        </Notice>
+      )}
+      <TextControl
+        label={__('Preset name', 'kntnt-global-styles')}
+        value={name}
+        onChange={(value) => {
+          setName(value)
+          setError(null)
+        }}
+        help={sprintf(
+          /* translators: %s: class names */
+          __('Saves “%s” as a preset.', 'kntnt-global-styles'),
+          classNames.join(' ')
+        )}
+        __nextHasNoMarginBottom
+      />
+      <div className="kntnt-global-styles-save-preset__actions">
+        <Button variant="secondary" onClick={() => setIsOpen(false)}>
+          {__('Cancel', 'kntnt-global-styles')}
+        </Button>
+        <Button variant="primary" onClick={handleSave}>
+          {__('Save preset', 'kntnt-global-styles')}
+        </Button>
+      </div>
+    </div>
+  )
+}
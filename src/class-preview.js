@@ -0,0 +1,64 @@
+/**
+ * Temporary preview of CSS classes on blocks in the editor canvas.
+ *
+ * Adds a class directly to the DOM element of a block, without changing
+ * the block's attributes, so the class can be tried out before it is
+ * applied. The canvas may be the editor document itself or an iframe.
+ */
+
+/**
+ * Finds the DOM element of a block in the editor canvas.
+ *
+ * Looks in the main document first and then in same-origin iframes,
+ * where the block editor renders the canvas in recent WordPress versions.
+ *
+ * @param {string} clientId - The block's client ID.
+ * @returns {Element|null} The block element, or null if it isn't rendered.
+ */
+const getBlockElement = (clientId) => {
+  const id = 'block-' + clientId
+  const element = document.getElementById(id)
+  if (element) {
+    return element
+  }
+
+  for (const iframe of document.querySelectorAll('iframe')) {
+    try {
+      const iframeElement = iframe.contentDocument?.getElementById(id)
+      if (iframeElement) {
+        return iframeElement
+      }
+    } catch (error) {
+      // Cross-origin iframes can't contain the canvas
+    }
+  }
+
+  return null
+}
+
+/**
+ * Temporarily applies a class to a block in the editor canvas.
+ *
+ * The returned function reverts the preview. It leaves the class in
+ * place if the block already had it or it has been applied for real
+ * in the meantime.
+ *
+ * @param {string} clientId - The block's client ID.
+ * @param {string} className - The class to preview.
+ * @returns {Function} Function that reverts the preview.
+ */
+export const previewClass = (clientId, className) => {
+  const element = getBlockElement(clientId)
+  if (!element || element.classList.contains(className)) {
+    return () => {}
+  }
+
+  element.classList.add(className)
+
+  return () => {
+    const appliedClasses = (window.wp.data.select('core/block-editor').getBlockAttributes(clientId)?.className || '').split(' ')
+    if (!appliedClasses.includes(className)) {
+      element.classList.remove(className)
+    }
+  }
+}
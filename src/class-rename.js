@@ -0,0 +1,320 @@
+import { Button, Notice, SelectControl, Spinner, TextControl } from '@wordpress/components'
+import { useState, useMemo } from '@wordpress/element'
+import { __, _n, sprintf } from '@wordpress/i18n'
+import { ajaxRequest } from './ajax'
+import { extractClassesFromCSS, renameClassInSelectors } from './css-classes'
+import { parseHintsFromCSS, renameHint, CLASS_NAME_PATTERN } from './hints'
+import { DiffView } from './diff-view'
+import { isPreprocessed, compileSource, describeCompileError } from './preprocessor'
+
+/**
+ * Renames a class in the selectors and @hint annotations of CSS content.
+ *
+ * @param {string} css - The CSS content.
+ * @param {string} from - The current class name.
+ * @param {string} to - The new class name.
+ * @returns {string} The CSS content with the class renamed.
+ */
+const renameClassInCSS = (css, from, to) => renameHint(renameClassInSelectors(css, from, to), from, to)
+
+/**
+ * Renames a class in the blocks of the document being edited.
+ *
+ * The server renames the class in saved content, but the editor keeps
+ * its own copy of the blocks, which would bring the old class back when
+ * the document is saved.
+ *
+ * @param {string} from - The current class name.
+ * @param {string} to - The new class name.
+ */
+const renameClassInEditorBlocks = (from, to) => {
+  const { getBlocks } = window.wp.data.select('core/block-editor')
+  const { updateBlockAttributes } = window.wp.data.dispatch('core/block-editor')
+
+  const renameInBlocks = (blocks) => blocks.forEach((block) => {
+    const classes = (block.attributes.className || '').split(/\s+/).filter(Boolean)
+    if (classes.includes(from)) {
+      updateBlockAttributes(block.clientId, {
+        className: classes.map((className) => className === from ? to : className).join(' '),
+      })
+    }
+    renameInBlocks(block.innerBlocks)
+  })
+
+  renameInBlocks(getBlocks())
+}
+
+/**
+ * Rename view of the Global Style Editor.
+ *
+ * Renames a class site-wide: in the selectors and the @hint annotation of
+ * the stylesheet, and in the `className` attribute of every block using it
+ * in posts, pages, patterns and templates. The affected content and the
+ * changes to the stylesheet are previewed before anything is changed.
+ * The stylesheet is renamed both in the draft and in the published
+ * version, so the published styles always match the content. The latest
+ * rename can be undone.
+ *
+ * @param {Object} props - Component props.
+ * @param {string} props.css - The CSS currently in the editor.
+ * @param {Function} props.onRename - Callback receiving a function that renames the class in CSS content.
+ * @returns {JSX.Element} The rename view.
+ */
+export const ClassRename = ({ css, onRename }) => {
+  const [from, setFrom] = useState('')
+  const [to, setTo] = useState('')
+  const [preview, setPreview] = useState(null)
+  const [isBusy, setIsBusy] = useState(false)
+  const [notice, setNotice] = useState(null)
+  const [lastRename, setLastRename] = useState(null)
+
+  // Classes that can be renamed, defined or hinted in the stylesheet
+  const classes = useMemo(
+    () => [...new Set([...extractClassesFromCSS(css), ...Object.keys(parseHintsFromCSS(css))])].sort(),
+    [css]
+  )
+
+  /**
+   * Validates the new class name.
+   *
+   * @returns {string|null} The reason the name can't be used, or null if it is valid.
+   */
+  const getNameError = () => {
+    if (!to) {
+      return null
+    }
+    if (!CLASS_NAME_PATTERN.test(to)) {
+      return __('A class name must start with a letter and contain only letters, digits, hyphens and underscores.', 'kntnt-global-styles')
+    }
+    if (to === from || classes.includes(to)) {
+      return __('The stylesheet already uses this class name.', 'kntnt-global-styles')
+    }
+    return null
+  }
+
+  const nameError = getNameError()
+
+  /**
+   * Sends a rename request to the server.
+   *
+   * The published stylesheet is renamed along with the content, based on
+   * the version this editor has loaded. In preprocessor mode, the renamed
+   * source is compiled and sent along with it.
+   *
+   * @param {Object} params - Request parameters.
+   * @param {string} params.from - The current class name.
+   * @param {string} params.to - The new class name.
+   * @param {Array<number>} [params.postIds] - IDs of the posts to limit the rename to.
+   * @returns {Promise<Object>} The response data.
+   * @throws {Error} If the rename failed.
+   */
+  const requestRename = async ({ from, to, postIds }) => {
+    const params = {
+      from,
+      to,
+      css_content: renameClassInCSS(window.kntnt_global_styles_data?.css_content || '', from, to),
+      base_version: window.kntnt_global_styles_data?.css_version || '',
+    }
+    if (isPreprocessed(params.css_content)) {
+      const { css, error } = await compileSource(params.css_content)
+      if (error) {
+        throw new Error(describeCompileError(error))
+      }
+      params.compiled_css = css
+    }
+    if (postIds) {
+      params.post_ids = postIds.join(',')
+    }
+
+    const result = await ajaxRequest('kntnt_global_styles_rename_class', params)
+    if (!result.success) {
+      throw new Error(result.data?.message || __('The class could not be renamed.', 'kntnt-global-styles'))
+    }
+
+    // The published stylesheet has changed with the rename
+    if (window.kntnt_global_styles_data) {
+      window.kntnt_global_styles_data.css_content = result.data.css_content
+      window.kntnt_global_styles_data.css_version = result.data.css_version
+    }
+
+    renameClassInEditorBlocks(from, to)
+    onRename((content) => renameClassInCSS(content, from, to))
+
+    return result.data
+  }
+
+  /**
+   * Finds the content affected by the rename without changing anything.
+   */
+  const handlePreview = async () => {
+    setIsBusy(true)
+    setNotice(null)
+
+    try {
+      const result = await ajaxRequest('kntnt_global_styles_rename_class', { from, to, dry_run: 'true' })
+      if (!result.success) {
+        throw new Error(result.data?.message)
+      }
+      setPreview({
+        from,
+        to,
+        posts: result.data.posts,
+        isTargetInUse: result.data.target_in_use,
+        css: renameClassInCSS(css, from, to),
+      })
+    } catch (error) {
+      console.error('Kntnt Global Styles: Failed to preview rename:', error)
+      setNotice({ type: 'error', message: error.message || __('The affected content could not be found.', 'kntnt-global-styles') })
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  /**
+   * Renames the class in the stylesheet and the content.
+   */
+  const handleRename = async () => {
+    setIsBusy(true)
+    setNotice(null)
+
+    try {
+      const data = await requestRename(preview)
+      const postIds = data.posts.filter((post) => post.editable).map((post) => post.id)
+      setLastRename({ from: preview.from, to: preview.to, postIds })
+      setNotice({
+        type: 'success',
+        message: sprintf(
+          /* translators: 1: old class name, 2: new class name, 3: number of changed items */
+          _n('“%1$s” has been renamed to “%2$s” in the stylesheet and %3$d item.', '“%1$s” has been renamed to “%2$s” in the stylesheet and %3$d items.', postIds.length, 'kntnt-global-styles'),
+          preview.from,
+          preview.to,
+          postIds.length
+        ),
+      })
+      setPreview(null)
+      setFrom('')
+      setTo('')
+    } catch (error) {
+      console.error('Kntnt Global Styles: Failed to rename class:', error)
+      setNotice({ type: 'error', message: error.message })
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  /**
+   * Undoes the latest rename by renaming the class back in the same content.
+   */
+  const handleUndo = async () => {
+    setIsBusy(true)
+    setNotice(null)
+
+    try {
+      await requestRename({ from: lastRename.to, to: lastRename.from, postIds: lastRename.postIds })
+      setNotice({
+        type: 'success',
+        message: sprintf(
+          /* translators: %s: class name */
+          __('The rename has been undone. The class is called “%s” again.', 'kntnt-global-styles'),
+          lastRename.from
+        ),
+      })
+      setLastRename(null)
+    } catch (error) {
+      console.error('Kntnt Global Styles: Failed to undo rename:', error)
+      setNotice({ type: 'error', message: error.message })
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  return (
+    <div className="kntnt-global-styles-rename">
+      {notice && (
+        <Notice
+          status={notice.type}
+          isDismissible={true}
+          onRemove={() => setNotice(null)}
+          actions={notice.type === 'success' && lastRename ? [{ label: __('Undo', 'kntnt-global-styles'), onClick: handleUndo }] : []}
+        >
+          {notice.message}
+        </Notice>
+      )}
+      <div className="kntnt-global-styles-rename__form">
+        <SelectControl
+          label={__('Class', 'kntnt-global-styles')}
+          value={from}
+          options={[
+            { value: '', label: __('Select a class…', 'kntnt-global-styles'), disabled: true },
+            ...classes.map((className) => ({ value: className, label: className })),
+          ]}
+          onChange={(value) => {
+            setFrom(value)
+            setPreview(null)
+          }}
+          __nextHasNoMarginBottom
+        />
+        <TextControl
+          label={__('New name', 'kntnt-global-styles')}
+          value={to}
+          onChange={(value) => {
+            setTo(value.trim())
+            setPreview(null)
+          }}
+          help={nameError}
+          __nextHasNoMarginBottom
+        />
+        <Button
+          variant="secondary"
+          onClick={handlePreview}
+          disabled={isBusy || !from || !to || !!nameError}
+        >
+          {__('Preview changes', 'kntnt-global-styles')}
+        </Button>
+      </div>
+      {isBusy && <Spinner/>}
+      {preview && (
+        <div className="kntnt-global-styles-rename__preview">
+          {preview.isTargetInUse && (
+            <Notice status="error" isDismissible={false}>
+              {__('The new name is already used by blocks in the content. Renaming would merge the two classes, which can\'t be undone. Choose another name.', 'kntnt-global-styles')}
+            </Notice>
+          )}
+          {preview.posts.some((post) => !post.editable) && (
+            <Notice status="warning" isDismissible={false}>
+              {__('You may not edit some of the affected items. They will keep the old class name.', 'kntnt-global-styles')}
+            </Notice>
+          )}
+          <h3>{__('Affected content', 'kntnt-global-styles')}</h3>
+          {preview.posts.length ? (
+            <ul className="kntnt-global-styles-rename__posts">
+              {preview.posts.map((post) => (
+                <li key={post.id} className={post.editable ? '' : 'is-locked'}>
+                  {post.link ? <a href={post.link} target="_blank" rel="noreferrer">{post.title}</a> : post.title}
+                  {' '}
+                  <span className="kntnt-global-styles-usage__meta">
+                    {sprintf(
+                      /* translators: 1: post type, 2: number of blocks */
+                      _n('%1$s, %2$d block', '%1$s, %2$d blocks', post.count, 'kntnt-global-styles'),
+                      post.type,
+                      post.count
+                    )}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p>{__('No blocks use the class. Only the stylesheet will be changed.', 'kntnt-global-styles')}</p>
+          )}
+          <h3>{__('Changes to the stylesheet', 'kntnt-global-styles')}</h3>
+          <DiffView left={css} right={preview.css}/>
+          <div className="kntnt-global-styles-rename__actions">
+            <Button variant="primary" onClick={handleRename} disabled={isBusy || preview.isTargetInUse}>
+              {__('Rename class', 'kntnt-global-styles')}
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
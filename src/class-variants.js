@@ -0,0 +1,130 @@
+import {
+  SelectControl,
+  __experimentalToggleGroupControl as ToggleGroupControl,
+  __experimentalToggleGroupControlOption as ToggleGroupControlOption,
+} from '@wordpress/components'
+import { __ } from '@wordpress/i18n'
+
+/**
+ * Largest number of variants shown as a segmented control. Larger sets
+ * are shown as a dropdown, which doesn't get cramped in the sidebar.
+ */
+const MAX_SEGMENTED_VARIANTS = 4
+
+/**
+ * Shortens the classes of a variant set to what sets them apart.
+ *
+ * Removes the prefix shared by all classes up to its last hyphen, so that
+ * `size-s`, `size-m` and `size-l` become `s`, `m` and `l`. The classes are
+ * kept as they are if a class would be left without a label.
+ *
+ * @param {Array<string>} classes - The classes of the variant set.
+ * @returns {Array<string>} A label for each class.
+ */
+const getVariantLabels = (classes) => {
+  let prefix = classes[0]
+  classes.forEach((className) => {
+    while (!className.startsWith(prefix)) {
+      prefix = prefix.slice(0, -1)
+    }
+  })
+  prefix = prefix.slice(0, prefix.lastIndexOf('-') + 1)
+  const labels = classes.map((className) => className.slice(prefix.length))
+  return labels.includes('') ? classes : labels
+}
+
+/**
+ * Replaces the variant of a set among the classes of a block.
+ *
+ * The new variant takes the place of the first variant of the set, so
+ * the order of the other classes is kept. Any other variants of the set
+ * are removed.
+ *
+ * @param {Array<string>} classNames - The classes applied to the block.
+ * @param {Array<string>} variants - The classes of the variant set.
+ * @param {string} variant - The variant to apply, or an empty string to remove the variant.
+ * @returns {Array<string>} The classes of the block with the variant replaced.
+ */
+export const replaceVariant = (classNames, variants, variant) => {
+  const index = classNames.findIndex((className) => variants.includes(className))
+  const others = classNames.filter((className) => !variants.includes(className))
+  if (!variant) {
+    return others
+  }
+  if (index < 0) {
+    return [...others, variant]
+  }
+  const before = classNames.slice(0, index).filter((className) => !variants.includes(className))
+  return [...before, variant, ...others.slice(before.length)]
+}
+
+/**
+ * Control for choosing one variant of a variant set.
+ *
+ * Small sets are shown as a segmented control that can be deselected,
+ * larger sets as a dropdown with an empty choice. A block that uses more
+ * than one variant of the set is told that choosing one replaces them.
+ *
+ * @param {Object} props - Component props.
+ * @param {Object} props.variantSet - The variant set with its name and classes.
+ * @param {Array<string>} props.classNames - The classes applied to the block.
+ * @param {Function} props.onChange - Callback receiving the chosen variant, or an empty string if none.
+ * @returns {JSX.Element} The control.
+ */
+export const VariantControl = ({ variantSet, classNames, onChange }) => {
+  const { name, classes } = variantSet
+  const applied = classNames.filter((className) => classes.includes(className))
+  const value = applied[0] || ''
+  const help = applied.length > 1 ? __('The block uses several of these classes. Choosing one replaces them all.', 'kntnt-global-styles') : undefined
+
+  /**
+   * Passes on the chosen variant.
+   *
+   * @param {string|undefined} variant - The chosen class, or empty if deselected.
+   */
+  const handleChange = (variant) => onChange(variant || '')
+
+  if (classes.length > MAX_SEGMENTED_VARIANTS) {
+    return (
+      <SelectControl
+        className="kntnt-global-styles-variant"
+        label={name}
+        value={value}
+        options={[
+          { value: '', label: __('None', 'kntnt-global-styles') },
+          ...classes.map((className) => ({ value: className, label: className })),
+        ]}
+        onChange={handleChange}
+        help={help}
+        __next40pxDefaultSize
+        __nextHasNoMarginBottom
+      />
+    )
+  }
+
+  const labels = getVariantLabels(classes)
+
+  return (
+    <ToggleGroupControl
+      className="kntnt-global-styles-variant"
+      label={name}
+      value={value}
+      onChange={handleChange}
+      help={help}
+      isBlock
+      isDeselectable
+      __next40pxDefaultSize
+      __nextHasNoMarginBottom
+    >
+      {classes.map((className, index) => (
+        <ToggleGroupControlOption
+          key={className}
+          value={className}
+          label={labels[index]}
+          aria-label={className}
+          showTooltip
+        />
+      ))}
+    </ToggleGroupControl>
+  )
+}
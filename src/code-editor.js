@@ -0,0 +1,252 @@
+import { useRef, useEffect, forwardRef, useImperativeHandle } from '@wordpress/element'
+import { EditorState, Compartment, Annotation, StateEffect, StateField } from '@codemirror/state'
+import {
+  EditorView,
+  Decoration,
+  keymap,
+  lineNumbers,
+  highlightActiveLine,
+  highlightActiveLineGutter,
+  highlightSpecialChars,
+  drawSelection,
+  dropCursor,
+  rectangularSelection,
+  crosshairCursor,
+  placeholder as placeholderExtension,
+} from '@codemirror/view'
+import { defaultKeymap, history, historyKeymap, indentWithTab } from '@codemirror/commands'
+import { searchKeymap, highlightSelectionMatches } from '@codemirror/search'
+import { closeBrackets, closeBracketsKeymap } from '@codemirror/autocomplete'
+import {
+  bracketMatching,
+  foldGutter,
+  foldKeymap,
+  indentOnInput,
+  syntaxHighlighting,
+  defaultHighlightStyle,
+} from '@codemirror/language'
+import { css } from '@codemirror/lang-css'
+
+/**
+ * CodeMirror based CSS code editor for the Global Style Editor.
+ *
+ * Wraps a CodeMirror 6 editor view in a React component with a controlled
+ * value. Provides syntax highlighting, line numbers, code folding, bracket
+ * matching, auto-indentation, search and replace (Cmd/Ctrl+F), go to line
+ * (Cmd/Ctrl+Alt+G) and multiple cursors (Alt+drag or Cmd/Ctrl+D).
+ */
+
+/**
+ * Annotation marking document changes that originate from the `value` prop
+ * rather than from the user, so they are not reported back via `onChange`.
+ */
+const externalChange = Annotation.define()
+
+/**
+ * Default for the `extensions` prop, kept stable to avoid reconfiguring
+ * the editor on every render.
+ */
+const NO_EXTENSIONS = []
+
+/**
+ * Effect replacing the highlighted ranges of the document.
+ */
+const setHighlights = StateEffect.define()
+
+/**
+ * Decoration marking a highlighted line.
+ */
+const highlightedLine = Decoration.line({ class: 'cm-highlighted-line' })
+
+/**
+ * Field keeping the highlighted lines, e.g. of the rules using a class.
+ * The highlights follow the text as the document is edited.
+ */
+const highlightField = StateField.define({
+  create: () => Decoration.none,
+  update: (highlights, transaction) => transaction.effects.reduce((result, effect) => {
+    if (!effect.is(setHighlights)) {
+      return result
+    }
+    const { doc } = transaction.state
+    const lineStarts = new Set()
+    effect.value.forEach(({ from, to }) => {
+      const last = doc.lineAt(Math.min(to, doc.length)).number
+      for (let number = doc.lineAt(Math.min(from, doc.length)).number; number <= last; number++) {
+        lineStarts.add(doc.line(number).from)
+      }
+    })
+    return Decoration.set([...lineStarts].sort((a, b) => a - b).map((start) => highlightedLine.range(start)))
+  }, highlights.map(transaction.changes)),
+  provide: (field) => EditorView.decorations.from(field),
+})
+
+/**
+ * Theme adapting the editor to the WordPress admin look and to the
+ * flexible layout of the modal.
+ */
+const editorTheme = EditorView.theme({
+  '&': {
+    height: '100%',
+    fontSize: '13px',
+    border: '1px solid #949494',
+    borderRadius: '2px',
+    backgroundColor: '#fff',
+  },
+  '&.cm-focused': {
+    outline: 'none',
+    borderColor: 'var(--wp-admin-theme-color, #3858e9)',
+    boxShadow: '0 0 0 1px var(--wp-admin-theme-color, #3858e9)',
+  },
+  '.cm-scroller': {
+    fontFamily: '\'Monaco\', \'Menlo\', \'Ubuntu Mono\', \'Consolas\', \'source-code-pro\', monospace',
+    lineHeight: '1.4',
+  },
+  '.cm-highlighted-line': {
+    backgroundColor: 'rgba(255, 214, 0, 0.25)',
+  },
+  '.cm-gutters': {
+    backgroundColor: '#f6f7f7',
+    borderRight: '1px solid #dcdcde',
+    color: '#646970',
+  },
+})
+
+/**
+ * Builds the base set of extensions used by every editor instance.
+ *
+ * Roughly equivalent to CodeMirror's basicSetup, but assembled here so
+ * that the plugin controls exactly which features are enabled.
+ *
+ * @param {string} placeholderText - Text shown when the editor is empty.
+ * @returns {Array} CodeMirror extensions.
+ */
+const createBaseExtensions = (placeholderText) => [
+  lineNumbers(),
+  highlightActiveLineGutter(),
+  highlightSpecialChars(),
+  history(),
+  foldGutter(),
+  drawSelection(),
+  dropCursor(),
+  EditorState.allowMultipleSelections.of(true),
+  indentOnInput(),
+  syntaxHighlighting(defaultHighlightStyle, { fallback: true }),
+  bracketMatching(),
+  closeBrackets(),
+  rectangularSelection(),
+  crosshairCursor(),
+  highlightActiveLine(),
+  highlightSelectionMatches(),
+  keymap.of([
+    ...closeBracketsKeymap,
+    ...defaultKeymap,
+    ...searchKeymap,
+    ...historyKeymap,
+    ...foldKeymap,
+    indentWithTab,
+  ]),
+  css(),
+  highlightField,
+  editorTheme,
+  placeholderText ? placeholderExtension(placeholderText) : [],
+]
+
+/**
+ * Controlled CSS code editor component.
+ *
+ * The editor view is created once on mount. Changes made by the user are
+ * reported through `onChange`, and changes to `value` made by the parent
+ * (e.g. when the modal is reopened) replace the document content.
+ *
+ * The forwarded ref exposes `goTo(from, to)`, which selects a range in the
+ * document, scrolls it into view and focuses the editor, and
+ * `highlight(ranges)`, which highlights the lines of the given ranges
+ * until the next call.
+ *
+ * @param {Object} props - Component props.
+ * @param {string} props.value - The CSS content to display.
+ * @param {Function} props.onChange - Callback receiving the new CSS content.
+ * @param {string} [props.placeholder] - Text shown when the editor is empty.
+ * @param {Array} [props.extensions] - Additional CodeMirror extensions.
+ * @param {string} [props.id] - Id of the editable element, for label association.
+ * @param {Object} ref - Forwarded ref receiving the imperative editor API.
+ * @returns {JSX.Element} The editor container.
+ */
+export const CodeEditor = forwardRef(({ value, onChange, placeholder, extensions = NO_EXTENSIONS, id }, ref) => {
+  const containerRef = useRef(null)
+  const viewRef = useRef(null)
+  const onChangeRef = useRef(onChange)
+  const extensionsCompartment = useRef(new Compartment())
+
+  // Keep the latest callback without recreating the editor
+  onChangeRef.current = onChange
+
+  // Expose an imperative API for navigating the document
+  useImperativeHandle(ref, () => ({
+    goTo: (from, to = from) => {
+      const view = viewRef.current
+      if (!view) {
+        return
+      }
+      const length = view.state.doc.length
+      view.dispatch({
+        selection: { anchor: Math.min(from, length), head: Math.min(to, length) },
+        scrollIntoView: true,
+      })
+      view.focus()
+    },
+    highlight: (ranges) => {
+      viewRef.current?.dispatch({ effects: setHighlights.of(ranges) })
+    },
+  }), [])
+
+  // Create the editor view on mount and destroy it on unmount
+  useEffect(() => {
+    const view = new EditorView({
+      parent: containerRef.current,
+      state: EditorState.create({
+        doc: value,
+        extensions: [
+          createBaseExtensions(placeholder),
+          extensionsCompartment.current.of(extensions),
+          EditorView.contentAttributes.of(id ? { id } : {}),
+          EditorView.updateListener.of((update) => {
+            if (update.docChanged && onChangeRef.current && !update.transactions.some((tr) => tr.annotation(externalChange))) {
+              onChangeRef.current(update.state.doc.toString())
+            }
+          }),
+        ],
+      }),
+    })
+    viewRef.current = view
+
+    return () => {
+      view.destroy()
+      viewRef.current = null
+    }
+  }, [])
+
+  // Replace the document when the value is changed from outside
+  useEffect(() => {
+    const view = viewRef.current
+    if (view && value !== view.state.doc.toString()) {
+      view.dispatch({
+        changes: { from: 0, to: view.state.doc.length, insert: value },
+        annotations: externalChange.of(true),
+      })
+    }
+  }, [value])
+
+  // Reconfigure additional extensions when they change
+  useEffect(() => {
+    const view = viewRef.current
+    if (view) {
+      view.dispatch({
+        effects: extensionsCompartment.current.reconfigure(extensions),
+      })
+    }
+  }, [extensions])
+
+  return <div className="kntnt-global-styles-code-editor" ref={containerRef}/>
+})
@@ -0,0 +1,63 @@
+import { Button, Notice } from '@wordpress/components'
+import { useMemo } from '@wordpress/element'
+import { __, _n, sprintf } from '@wordpress/i18n'
+import { DiffView } from './diff-view'
+import { mergeStylesheets } from './merge'
+
+/**
+ * Conflict view of the Global Style Editor.
+ *
+ * Shown when saving the stylesheet was rejected because someone else saved
+ * it after the current user loaded it. Compares the other version with the
+ * user's draft and lets the user merge them, keep their own version or
+ * accept the other version.
+ *
+ * @param {Object} props - Component props.
+ * @param {Object} props.conflict - The conflict.
+ * @param {string} props.conflict.base - The CSS the user's draft is based on.
+ * @param {string} props.conflict.mine - The user's draft.
+ * @param {string} props.conflict.theirs - The CSS saved by someone else.
+ * @param {Function} props.onResolve - Callback receiving the CSS chosen to continue with.
+ * @returns {JSX.Element} The conflict view.
+ */
+export const ConflictResolver = ({ conflict, onResolve }) => {
+  const { base, mine, theirs } = conflict
+
+  // Attempt to merge both versions automatically
+  const merged = useMemo(() => mergeStylesheets(base, mine, theirs), [base, mine, theirs])
+
+  return (
+    <div className="kntnt-global-styles-conflict">
+      <Notice status="warning" isDismissible={false}>
+        {__('Someone else has saved the global stylesheet since you started editing it. Choose how to combine their version with yours.', 'kntnt-global-styles')}
+        {' '}
+        {merged.conflicts ? sprintf(
+          /* translators: %d: number of conflicting changes */
+          _n(
+            'The versions could not be merged automatically. %d change overlaps and must be resolved by hand.',
+            'The versions could not be merged automatically. %d changes overlap and must be resolved by hand.',
+            merged.conflicts,
+            'kntnt-global-styles'
+          ),
+          merged.conflicts
+        ) : __('The versions can be merged automatically.', 'kntnt-global-styles')}
+      </Notice>
+      <div className="kntnt-global-styles-conflict__header">
+        <span>{__('Saved by someone else', 'kntnt-global-styles')}</span>
+        <span>{__('Your version', 'kntnt-global-styles')}</span>
+      </div>
+      <DiffView left={theirs} right={mine}/>
+      <div className="kntnt-global-styles-conflict__actions">
+        <Button variant="secondary" onClick={() => onResolve(theirs)}>
+          {__('Discard my changes', 'kntnt-global-styles')}
+        </Button>
+        <Button variant="secondary" onClick={() => onResolve(mine)}>
+          {__('Keep my version', 'kntnt-global-styles')}
+        </Button>
+        <Button variant="primary" onClick={() => onResolve(merged.css)}>
+          {merged.conflicts ? __('Resolve in editor', 'kntnt-global-styles') : __('Use merged version', 'kntnt-global-styles')}
+        </Button>
+      </div>
+    </div>
+  )
+}
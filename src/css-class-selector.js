@@ -1,11 +1,22 @@
 import KntntErrorBoundary from './KntntErrorBoundary'
 import { createHigherOrderComponent } from '@wordpress/compose'
-import { PanelBody, Button } from '@wordpress/components'
+import { PanelBody, Button, Notice, ToggleControl, Dashicon } from '@wordpress/components'
 import { useState, useEffect } from '@wordpress/element'
-import { InspectorControls } from '@wordpress/block-editor'
-import { hasBlockSupport } from '@wordpress/blocks'
-import { __ } from '@wordpress/i18n'
+import { InspectorControls, store as blockEditorStore } from '@wordpress/block-editor'
+import { useSelect } from '@wordpress/data'
+import { hasBlockSupport, getBlockType } from '@wordpress/blocks'
+import { __, sprintf } from '@wordpress/i18n'
 import CreatableSelect from 'react-select/creatable'
+import { components } from 'react-select'
+import { previewClass } from './class-preview'
+import { VariantControl, replaceVariant } from './class-variants'
+import { splitClassNames, updateBlockClasses, addClasses } from './block-classes'
+import { useKnownClasses, isUnknownClass, suggestClass, getUnknownClassWarnings } from './unknown-classes'
+import { indexRulesByClass } from './css-classes'
+import { getDraft } from './draft'
+import { SavePresetControl, PRESET_OPTION_PREFIX } from './class-presets'
+import { CreateClassControl } from './class-extraction'
+import { OPEN_MODAL_EVENT } from './editor-integration'
 
 /**
  * Component that hides the original WordPress "Additional CSS class(es)" control.
@@ -35,20 +46,24 @@ const HideWordPressCSSControl = () => {
  * Higher-order component that hides the original WordPress CSS control.
  *
  * Wraps the block editor to inject the HideWordPressCSSControl component
- * when a block with custom class name support is selected.
+ * when a block with custom class name support is selected, alone or as
+ * the first of several selected blocks.
  *
  * @param {Function} BlockEdit - The original block edit component.
  * @returns {Function} Enhanced block edit component.
  */
 export const withHiddenOriginalControl = createHigherOrderComponent((BlockEdit) => {
   return (props) => {
-    const { isSelected, name } = props
+    const { isSelected, name, clientId } = props
     const hasCustomClassNameSupport = hasBlockSupport(name, 'customClassName', true)
 
+    // With several blocks selected, the first of them shows the block inspector
+    const isMultiSelection = useSelect((select) => select(blockEditorStore).isFirstMultiSelectedBlock(clientId), [clientId])
+
     return (
       <>
         <BlockEdit {...props} />
-        {isSelected && hasCustomClassNameSupport && (
+        {(isSelected || isMultiSelection) && hasCustomClassNameSupport && (
           <InspectorControls group="advanced">
             <HideWordPressCSSControl/>
           </InspectorControls>
@@ -58,72 +73,438 @@ export const withHiddenOriginalControl = createHigherOrderComponent((BlockEdit)
   }
 }, 'withHiddenOriginalControl')
 
+/**
+ * Dropdown option that previews its class on the selected block.
+ *
+ * While the option is focused, by hovering it or moving to it with the
+ * arrow keys, its class is temporarily applied to the block in the canvas.
+ * The preview is reverted when the focus moves on or the menu closes.
+ * A preset previews all its classes, and with several blocks selected,
+ * the classes are previewed on all of them. Options for classes still
+ * being typed are not previewed.
+ *
+ * @param {Object} props - Option props from react-select.
+ * @returns {JSX.Element} The option.
+ */
+const PreviewOption = (props) => {
+  const { isFocused, data, selectProps } = props
+  const clientIds = selectProps.previewClientIds.join(' ')
+
+  const { __isNew__: isNew } = data
+  const classes = (data.preset || [data.value]).join(' ')
+
+  useEffect(() => {
+    if (!isFocused || isNew || !clientIds) {
+      return
+    }
+    const reverts = clientIds.split(' ').flatMap(
+      (clientId) => classes.split(' ').map((className) => previewClass(clientId, className))
+    )
+    return () => reverts.forEach((revert) => revert())
+  }, [isFocused, classes, isNew, clientIds])
+
+  return <components.Option {...props}/>
+}
+
+/**
+ * Checks whether a hint applies to a block.
+ *
+ * A hint scoped with `@blocks` applies to the listed block names, e.g.
+ * `core/button`, and to blocks in the listed categories, e.g. `text`.
+ * Hints without a scope apply to all blocks.
+ *
+ * @param {Object} annotation - The annotations of the hint.
+ * @param {string} blockName - The name of the block.
+ * @returns {boolean} True if the hint applies to the block.
+ */
+const isHintForBlock = (annotation, blockName) => {
+  if (!annotation.blocks?.length) {
+    return true
+  }
+  const category = getBlockType(blockName)?.category
+  return annotation.blocks.some((scope) => scope === blockName || scope === category)
+}
+
+/**
+ * The CSS the rules were last indexed from, and the index.
+ */
+let ruleIndex = { css: null, rules: new Map() }
+
+/**
+ * Summarizes the rules of the draft or persisted stylesheet using a class.
+ *
+ * The stylesheet is only indexed again when it has changed.
+ *
+ * @param {string} className - The class name.
+ * @returns {string} The rules with their declarations, or an empty string if no rule uses the class.
+ */
+const summarizeRules = (className) => {
+  const css = getDraft() ?? window.kntnt_global_styles_data?.css_content ?? ''
+  if (ruleIndex.css !== css) {
+    ruleIndex = { css, rules: indexRulesByClass(css) }
+  }
+  return (ruleIndex.rules.get(className) || []).map(({ selector, atrule, declarations }) => [
+    atrule,
+    selector + ' {',
+    ...declarations.map((declaration) => '  ' + declaration + ';'),
+    '}',
+  ].filter(Boolean).join('\n')).join('\n\n')
+}
+
+/**
+ * Label of a selected class with a summary of its rules and a button
+ * that opens the Global Style Editor at them.
+ *
+ * The summary is shown as a tooltip when hovering the class. Classes
+ * that no rule uses have neither.
+ *
+ * @param {Object} props - MultiValueLabel props from react-select.
+ * @returns {JSX.Element} The label.
+ */
+const DefinitionMultiValueLabel = (props) => {
+  const className = props.data.value
+  const summary = summarizeRules(className)
+
+  return (
+    <div className="kntnt-global-styles-select__definition" title={summary || undefined}>
+      <components.MultiValueLabel {...props}/>
+      {summary && (
+        <button
+          type="button"
+          className="kntnt-global-styles-select__go-to-definition"
+          aria-label={sprintf(
+            /* translators: %s: class name */
+            __('Go to definition of “%s”', 'kntnt-global-styles'),
+            className
+          )}
+          // Keep react-select from opening the menu
+          onMouseDown={(event) => event.stopPropagation()}
+          onClick={() => document.dispatchEvent(new CustomEvent(OPEN_MODAL_EVENT, { detail: { goToClass: className } }))}
+        >
+          <Dashicon icon="editor-code"/>
+        </button>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Creates the options of the class selector from the hints.
+ *
+ * Hints without a group come first, followed by a section for each group
+ * in the order the groups first appear in the stylesheet. Options of hints
+ * scoped to other blocks are flagged.
+ *
+ * @param {Object} hints - Object mapping class names to descriptions.
+ * @param {Object} annotations - Object mapping class names to their annotations.
+ * @param {string} blockName - The name of the block the classes are selected for.
+ * @returns {Array<Object>} Options and groups of options for react-select.
+ */
+const createClassOptions = (hints, annotations, blockName) => {
+  const ungrouped = []
+  const groups = new Map()
+
+  Object.entries(hints).forEach(([className, description]) => {
+    const annotation = annotations[className] || {}
+    const option = {
+      value: className,
+      label: className,
+      description,
+      deprecated: !!annotation.deprecated,
+      replacement: annotation.replacement || '',
+      preview: annotation.preview || '',
+      isOutOfScope: !isHintForBlock(annotation, blockName),
+    }
+
+    if (annotation.group) {
+      if (!groups.has(annotation.group)) {
+        groups.set(annotation.group, [])
+      }
+      groups.get(annotation.group).push(option)
+    } else {
+      ungrouped.push(option)
+    }
+  })
+
+  return [...ungrouped, ...Array.from(groups, ([label, options]) => ({ label, options }))]
+}
+
+/**
+ * Creates the options of the class selector for presets.
+ *
+ * @param {Array<Object>} presets - The presets with their names and classes.
+ * @returns {Array<Object>} A group of preset options for react-select, or nothing if there are no presets.
+ */
+const createPresetOptions = (presets) => presets.length ? [
+  {
+    label: __('Presets', 'kntnt-global-styles'),
+    options: presets.map(({ name, classes }) => ({
+      value: PRESET_OPTION_PREFIX + name,
+      label: name,
+      description: classes.join(' '),
+      preset: classes,
+    })),
+  },
+] : []
+
+/**
+ * Removes options from the options of the class selector.
+ *
+ * Groups left without options are removed as well.
+ *
+ * @param {Array<Object>} options - Options and groups of options for react-select.
+ * @param {Function} isRemoved - Callback telling whether an option should be removed.
+ * @returns {Array<Object>} The remaining options and groups.
+ */
+const removeOptions = (options, isRemoved) => options
+  .map((item) => item.options ? { ...item, options: item.options.filter((option) => !isRemoved(option)) } : item)
+  .filter((item) => item.options ? item.options.length : !isRemoved(item))
+
+/**
+ * Finds problems with the combination of classes applied to a block.
+ *
+ * Reports deprecated classes, classes missing a class they require, and
+ * classes that conflict with each other, according to their annotations.
+ *
+ * @param {Array<string>} classNames - The classes applied to the block.
+ * @param {Object} annotations - Object mapping class names to their annotations.
+ * @returns {Array<Object>} Warnings with a message, and the class to replace or add to fix them.
+ */
+const getClassWarnings = (classNames, annotations) => {
+  const warnings = []
+  const reportedConflicts = new Set()
+
+  classNames.forEach((className) => {
+    const annotation = annotations[className]
+    if (!annotation) {
+      return
+    }
+
+    if (annotation.deprecated) {
+      warnings.push({
+        message: annotation.replacement
+          ? sprintf(
+            /* translators: 1: deprecated class name, 2: replacement class name */
+            __('“%1$s” is deprecated. Use “%2$s” instead.', 'kntnt-global-styles'),
+            className,
+            annotation.replacement
+          )
+          : sprintf(
+            /* translators: %s: deprecated class name */
+            __('“%s” is deprecated.', 'kntnt-global-styles'),
+            className
+          ),
+        replace: annotation.replacement ? { from: className, to: annotation.replacement } : null,
+      })
+    }
+
+    annotation.requires?.filter((required) => !classNames.includes(required)).forEach((required) => {
+      warnings.push({
+        message: sprintf(
+          /* translators: 1: class name, 2: required class name */
+          __('“%1$s” requires “%2$s”.', 'kntnt-global-styles'),
+          className,
+          required
+        ),
+        add: required,
+      })
+    })
+
+    annotation.conflicts?.filter((conflicting) => classNames.includes(conflicting)).forEach((conflicting) => {
+      // Report each pair once, even if both classes declare the conflict
+      const pair = [className, conflicting].sort().join(' ')
+      if (reportedConflicts.has(pair)) {
+        return
+      }
+      reportedConflicts.add(pair)
+      warnings.push({
+        message: sprintf(
+          /* translators: 1: class name, 2: conflicting class name */
+          __('“%1$s” can\'t be combined with “%2$s”.', 'kntnt-global-styles'),
+          className,
+          conflicting
+        ),
+      })
+    })
+  })
+
+  return warnings
+}
+
 /**
  * Higher-order component that adds the Global Styles panel to the block editor.
  *
  * Provides an enhanced CSS class selector with dropdown suggestions and
- * direct access to the CSS editor modal. Replaces the default WordPress
- * "Additional CSS class(es)" field with more user-friendly functionality.
+ * direct access to the CSS editor modal. Focusing a suggestion previews
+ * it on the block before it is applied. Suggestions are grouped and
+ * limited to the classes meant for the block, unless the user chooses to
+ * see them all, and the applied classes are checked against the
+ * annotations of their hints for deprecations, missing and conflicting
+ * classes. Classes defined nowhere are flagged, with the most similar
+ * known class as a suggestion, and each applied class links to its rules
+ * in the Global Style Editor. Each variant set declared in the stylesheet
+ * gets a control of its own, which swaps between the variants, and
+ * presets apply several classes in one go. The styles of a block can be
+ * turned into a new global class. With several blocks of the same type
+ * selected, the panel changes the classes of all of them. Replaces the
+ * default WordPress "Additional CSS class(es)" field with more
+ * user-friendly functionality.
  *
  * @param {Function} BlockEdit - The original block edit component.
  * @returns {Function} Enhanced block edit component with Global Styles panel.
  */
 export const withGlobalStylesPanel = createHigherOrderComponent((BlockEdit) => {
   return (props) => {
-    const { attributes, setAttributes, isSelected, name } = props
+    const { attributes, setAttributes, isSelected, name, clientId } = props
     const hasCustomClassNameSupport = hasBlockSupport(name, 'customClassName', true)
     const [availableHints, setAvailableHints] = useState({})
+    const [hintAnnotations, setHintAnnotations] = useState({})
+    const [variantSets, setVariantSets] = useState([])
+    const [presets, setPresets] = useState([])
+    const [showAllClasses, setShowAllClasses] = useState(false)
+    const knownClasses = useKnownClasses()
+
+    // With several blocks of the same type selected, the first of them shows the panel for all
+    const multiSelectedClientIds = useSelect((select) => {
+      const { isFirstMultiSelectedBlock, getMultiSelectedBlockClientIds } = select(blockEditorStore)
+      return isFirstMultiSelectedBlock(clientId) ? getMultiSelectedBlockClientIds() : null
+    }, [clientId])
+    // One line per block, since an array selected anew would re-render the panel on every store change
+    const multiSelectedClassNames = useSelect((select) => multiSelectedClientIds?.map(
+      (id) => splitClassNames(select(blockEditorStore).getBlockAttributes(id)?.className).join(' ')
+    ).join('\n'), [multiSelectedClientIds])
+    const isMultiSelection = !!multiSelectedClientIds
 
     /**
      * Dispatches custom event to open the CSS editor modal.
      */
     const openEditor = () => {
-      document.dispatchEvent(new CustomEvent('kntnt-open-gse-modal'))
+      document.dispatchEvent(new CustomEvent(OPEN_MODAL_EVENT))
     }
 
     // Load initial CSS class hints from global data
     useEffect(() => {
       const hints = window.kntnt_global_styles_data?.available_hints || {}
       setAvailableHints(hints)
+      setHintAnnotations(window.kntnt_global_styles_data?.hint_annotations || {})
+      setVariantSets(window.kntnt_global_styles_data?.variant_sets || [])
+      setPresets(window.kntnt_global_styles_data?.presets || [])
     }, [])
 
     /**
      * Custom formatting for dropdown option labels.
      *
-     * Displays class name prominently with optional description below.
+     * Displays class name prominently with optional description below in
+     * the menu. Deprecated classes are struck through, with the suggested
+     * replacement in the menu, and a preview swatch is shown when given.
+     * Classes meant for other blocks are marked in the menu, and selected
+     * classes that are defined nowhere are flagged.
      *
-     * @param {Object} option - The option object with label and description.
+     * @param {Object} option - The option object with label, description and annotations.
+     * @param {Object} meta - Formatting context from react-select.
+     * @param {string} meta.context - Either 'menu' or 'value'.
      * @returns {JSX.Element} Formatted option display.
      */
-    const formatOptionLabel = ({ label, description }) => (
-      <div className="kntnt-global-styles-select__option">
-        <span className="kntnt-global-styles-select__option-name">{label}</span>
-        {description && <span className="kntnt-global-styles-select__option-desc">{description}</span>}
+    const formatOptionLabel = ({ label, description, deprecated, replacement, preview, isOutOfScope, isUnknown }, { context }) => (
+      <div
+        className={'kntnt-global-styles-select__option' + (deprecated ? ' is-deprecated' : '') + (context === 'menu' && isOutOfScope ? ' is-out-of-scope' : '') + (isUnknown ? ' is-unknown' : '')}
+        title={isUnknown ? __('This class is not defined in the global stylesheet.', 'kntnt-global-styles') : undefined}
+      >
+        <span className="kntnt-global-styles-select__option-name">
+          {preview && <span className="kntnt-global-styles-select__option-swatch" style={{ background: preview }}/>}
+          {label}
+        </span>
+        {context === 'menu' && description && <span className="kntnt-global-styles-select__option-desc">{description}</span>}
+        {context === 'menu' && deprecated && replacement && (
+          <span className="kntnt-global-styles-select__option-desc">
+            {sprintf(
+              /* translators: %s: replacement class name */
+              __('Deprecated. Use “%s” instead.', 'kntnt-global-styles'),
+              replacement
+            )}
+          </span>
+        )}
+        {context === 'menu' && isOutOfScope && (
+          <span className="kntnt-global-styles-select__option-desc">
+            {__('Intended for other blocks.', 'kntnt-global-styles')}
+          </span>
+        )}
       </div>
     )
 
     // Transform hints object into format expected by react-select
-    const classSuggestions = Object.entries(availableHints).map(([className, description]) => ({
-      value: className,
-      label: className,
-      description: description,
-    }))
+    const allClassSuggestions = createClassOptions(availableHints, hintAnnotations, name)
+    const optionsByClass = Object.fromEntries(
+      allClassSuggestions.flatMap((item) => item.options || [item]).map((option) => [option.value, option])
+    )
+    const hasOutOfScopeClasses = Object.values(optionsByClass).some((option) => option.isOutOfScope)
+
+    // Parse current className attribute into react-select format. With
+    // several blocks selected, the classes they all have are shown as
+    // selected, and those only some of them have are listed separately.
+    const classLists = isMultiSelection ? multiSelectedClassNames.split('\n').map(splitClassNames) : [splitClassNames(attributes.className)]
+    const classNames = classLists[0].filter((className) => classLists.every((classes) => classes.includes(className)))
+    const partialClassNames = [...new Set(classLists.flat())].filter((className) => !classNames.includes(className))
+    const classWarnings = [...getUnknownClassWarnings(classNames, knownClasses), ...getClassWarnings(classNames, hintAnnotations)]
 
-    // Parse current className attribute into react-select format
-    const selectedClasses = attributes.className
-      ? attributes.className.split(' ').filter(Boolean).map((className) => ({ value: className, label: className }))
-      : []
+    // Variant sets get their own controls, unless all their classes are meant for other blocks
+    const blockVariantSets = variantSets.filter(({ classes }) => showAllClasses || classes.some(
+      (className) => classNames.includes(className) || !optionsByClass[className]?.isOutOfScope
+    ))
+    const variantClasses = new Set(blockVariantSets.flatMap(({ classes }) => classes))
+
+    // The free-form selector handles all other classes
+    const classSuggestions = [
+      ...createPresetOptions(presets),
+      ...removeOptions(
+        allClassSuggestions,
+        (option) => variantClasses.has(option.value) || (!showAllClasses && option.isOutOfScope)
+      ),
+    ]
+    const selectedClasses = classNames
+      .filter((className) => !variantClasses.has(className))
+      .map((className) => optionsByClass[className] || { value: className, label: className, isUnknown: isUnknownClass(className, knownClasses) })
+
+    /**
+     * Changes the classes of the selected block, or of all selected blocks.
+     *
+     * @param {Function} transform - Callback receiving the classes of a block and returning its new classes.
+     */
+    const updateClasses = (transform) => {
+      if (isMultiSelection) {
+        updateBlockClasses(multiSelectedClientIds, transform)
+      } else {
+        setAttributes({ className: [...new Set(transform(classNames))].join(' ') })
+      }
+    }
 
     /**
      * Handles changes to selected CSS classes.
      *
-     * Updates the block's className attribute with space-separated class names.
+     * Adds the classes that have been selected and removes those that have
+     * been deselected, keeping the variants chosen with the variant
+     * controls. A preset is expanded into its classes, and an added class
+     * of a variant set replaces the variant of the block.
      *
      * @param {Array} selectedOptions - Array of selected option objects.
      */
     const handleClassChange = (selectedOptions) => {
-      const classString = selectedOptions ? selectedOptions.map((option) => option.value).join(' ') : ''
-      setAttributes({ className: classString })
+      const selected = selectedOptions ? selectedOptions.flatMap((option) => option.preset || [option.value]) : []
+      const shown = selectedClasses.map((option) => option.value)
+      const removed = shown.filter((className) => !selected.includes(className))
+      const added = selected.filter((className) => !shown.includes(className))
+      updateClasses((classes) => addClasses(classes.filter((className) => !removed.includes(className)), added, blockVariantSets))
+    }
+
+    /**
+     * Fixes a warning by replacing a class with another, or adding a class.
+     *
+     * @param {Object} warning - The warning to fix.
+     */
+    const fixWarning = (warning) => {
+      updateClasses((classes) => warning.replace
+        ? classes.map((className) => className === warning.replace.from ? warning.replace.to : className)
+        : [...classes, warning.add])
     }
 
     /**
@@ -142,11 +523,22 @@ export const withGlobalStylesPanel = createHigherOrderComponent((BlockEdit) => {
     /**
      * Custom label for the "create new class" option.
      *
+     * Suggests a known class if the typed class is defined nowhere and
+     * resembles one.
+     *
      * @param {string} inputValue - The value being typed by the user.
      * @returns {string} Formatted create label.
      */
     const formatCreateLabel = (inputValue) => {
-      return __('Add', 'kntnt-global-styles') + ` "${inputValue}"`
+      const label = __('Add', 'kntnt-global-styles') + ` "${inputValue}"`
+      const suggestion = isUnknownClass(inputValue, knownClasses) && suggestClass(inputValue, knownClasses)
+      return suggestion
+        ? label + ' – ' + sprintf(
+          /* translators: %s: suggested class name */
+          __('unknown class, did you mean “%s”?', 'kntnt-global-styles'),
+          suggestion
+        )
+        : label
     }
 
     // Listen for hint updates from the CSS editor
@@ -161,6 +553,9 @@ export const withGlobalStylesPanel = createHigherOrderComponent((BlockEdit) => {
       const handleRefresh = (event) => {
         const hints = event.detail?.hints || window.kntnt_global_styles_data?.available_hints || {}
         setAvailableHints(hints)
+        setHintAnnotations(window.kntnt_global_styles_data?.hint_annotations || {})
+        setVariantSets(window.kntnt_global_styles_data?.variant_sets || [])
+        setPresets(window.kntnt_global_styles_data?.presets || [])
       }
 
       document.addEventListener('kntnt-global-styles-refresh', handleRefresh)
@@ -172,10 +567,18 @@ export const withGlobalStylesPanel = createHigherOrderComponent((BlockEdit) => {
     return (
       <>
         <BlockEdit {...props} />
-        {isSelected && hasCustomClassNameSupport && (
+        {(isSelected || isMultiSelection) && hasCustomClassNameSupport && (
           <InspectorControls>
             <KntntErrorBoundary>
               <PanelBody title={__('Global Styles', 'kntnt-global-styles')} initialOpen={true}>
+                {blockVariantSets.map((variantSet) => (
+                  <VariantControl
+                    key={variantSet.classes.join(' ')}
+                    variantSet={variantSet}
+                    classNames={classNames}
+                    onChange={(variant) => updateClasses((classes) => replaceVariant(classes, variantSet.classes, variant))}
+                  />
+                ))}
                 <div className="kntnt-global-styles-class-selector-wrapper">
                   <label className="components-base-control__label">
                     {__('CSS Classes', 'kntnt-global-styles')}
@@ -191,16 +594,77 @@ export const withGlobalStylesPanel = createHigherOrderComponent((BlockEdit) => {
                     onKeyDown={preventSpacesInClassNames}
                     formatCreateLabel={formatCreateLabel}
                     formatOptionLabel={formatOptionLabel}
+                    components={{ Option: PreviewOption, MultiValueLabel: DefinitionMultiValueLabel }}
+                    previewClientIds={multiSelectedClientIds || [clientId]}
                     noOptionsMessage={() => __('No classes available. Add some in the CSS editor.', 'kntnt-global-styles')}
                   />
+                  {partialClassNames.length > 0 && (
+                    <div className="kntnt-global-styles-partial-classes">
+                      <p className="components-base-control__help">
+                        {__('Used by some of the selected blocks:', 'kntnt-global-styles')}
+                      </p>
+                      <ul>
+                        {partialClassNames.map((className) => (
+                          <li key={className}>
+                            <code>{className}</code>
+                            <Button variant="link" onClick={() => updateClasses((classes) => addClasses(classes, [className], blockVariantSets))}>
+                              {__('Add to all', 'kntnt-global-styles')}
+                            </Button>
+                            <Button variant="link" isDestructive onClick={() => updateClasses((classes) => classes.filter((other) => other !== className))}>
+                              {__('Remove from all', 'kntnt-global-styles')}
+                            </Button>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                  {hasOutOfScopeClasses && (
+                    <ToggleControl
+                      className="kntnt-global-styles-show-all-classes"
+                      label={__('Show classes for other blocks', 'kntnt-global-styles')}
+                      checked={showAllClasses}
+                      onChange={setShowAllClasses}
+                      __nextHasNoMarginBottom
+                    />
+                  )}
+                  {classWarnings.map((warning) => (
+                    <Notice
+                      key={warning.message}
+                      className="kntnt-global-styles-class-warning"
+                      status="warning"
+                      isDismissible={false}
+                      actions={warning.replace || warning.add ? [
+                        {
+                          label: warning.replace
+                            ? sprintf(
+                              /* translators: %s: replacement class name */
+                              __('Replace with “%s”', 'kntnt-global-styles'),
+                              warning.replace.to
+                            )
+                            : sprintf(
+                              /* translators: %s: class name */
+                              __('Add “%s”', 'kntnt-global-styles'),
+                              warning.add
+                            ),
+                          onClick: () => fixWarning(warning),
+                        },
+                      ] : []}
+                    >
+                      {warning.message}
+                    </Notice>
+                  ))}
                   <p className="components-base-control__help">
-                    {__('Click the arrow or start typing to select a class from the drop-down list. Alternatively, type the full name of the class and finish by pressing the Enter or Tab key.', 'kntnt-global-styles')}
+                    {__('Click the arrow or start typing to select a class from the drop-down list. Hover over a class or move to it with the arrow keys to preview it on the block. Alternatively, type the full name of the class and finish by pressing the Enter or Tab key.', 'kntnt-global-styles')}
                   </p>
                 </div>
 
-                <Button variant="link" onClick={openEditor}>
-                  {__('Edit Global Styles', 'kntnt-global-styles')}
-                </Button>
+                <div className="kntnt-global-styles-panel-actions">
+                  <Button variant="link" onClick={openEditor}>
+                    {__('Edit Global Styles', 'kntnt-global-styles')}
+                  </Button>
+                  <SavePresetControl classNames={classNames}/>
+                  {!isMultiSelection && <CreateClassControl clientId={clientId} attributes={attributes}/>}
+                </div>
 
               </PanelBody>
             </KntntErrorBoundary>
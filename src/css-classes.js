@@ -0,0 +1,126 @@
+import { parse, walk, find, generate } from 'css-tree'
+
+/**
+ * Extraction of class names defined by selectors in a stylesheet, and of
+ * the rules using them.
+ */
+
+/**
+ * Returns the names of all classes referenced by selectors in CSS content.
+ *
+ * The CSS is parsed leniently, so classes are found even when the
+ * stylesheet contains syntax errors.
+ *
+ * @param {string} css - The CSS content to scan.
+ * @returns {Array<string>} Unique class names in order of first appearance.
+ */
+export const extractClassesFromCSS = (css) => {
+  const classes = new Set()
+
+  const ast = parse(css || '', {
+    parseValue: false,
+    parseCustomProperty: false,
+    onParseError: () => {}, // Errors are reported by the validator
+  })
+
+  walk(ast, {
+    visit: 'ClassSelector',
+    enter (node) {
+      classes.add(node.name)
+    },
+  })
+
+  return [...classes]
+}
+
+/**
+ * Renames a class in all selectors of CSS content.
+ *
+ * Only class selectors are changed; the same name in property values,
+ * strings, comments or other selectors, e.g. as part of a longer class
+ * name or an ID, is left alone.
+ *
+ * @param {string} css - The CSS content.
+ * @param {string} from - The current class name.
+ * @param {string} to - The new class name.
+ * @returns {string} The CSS content with the class renamed.
+ */
+export const renameClassInSelectors = (css, from, to) => {
+  const ranges = []
+
+  const ast = parse(css || '', {
+    positions: true,
+    parseValue: false,
+    parseCustomProperty: false,
+    onParseError: () => {}, // Errors are reported by the validator
+  })
+
+  walk(ast, {
+    visit: 'ClassSelector',
+    enter (node) {
+      if (node.name === from && node.loc) {
+        ranges.push(node.loc)
+      }
+    },
+  })
+
+  // Replace from the end, so earlier offsets stay valid
+  return ranges
+    .sort((a, b) => b.start.offset - a.start.offset)
+    .reduce((result, loc) => result.slice(0, loc.start.offset) + '.' + to + result.slice(loc.end.offset), css || '')
+}
+
+/**
+ * Indexes the rules of CSS content by the classes their selectors reference.
+ *
+ * Rules inside at-rules, e.g. media queries, are included together with
+ * the at-rule they are in.
+ *
+ * @param {string} css - The CSS content to scan.
+ * @returns {Map<string, Array<Object>>} Rules keyed by class name, each with its offsets (`from`, `to`), `selector`, enclosing `atrule` and `declarations`.
+ */
+export const indexRulesByClass = (css) => {
+  const index = new Map()
+
+  const ast = parse(css || '', {
+    positions: true,
+    parseValue: false,
+    parseCustomProperty: false,
+    onParseError: () => {}, // Errors are reported by the validator
+  })
+
+  walk(ast, {
+    visit: 'Rule',
+    enter (node) {
+      if (!node.loc || node.prelude.type !== 'SelectorList') {
+        return
+      }
+
+      const rule = {
+        from: node.loc.start.offset,
+        to: node.loc.end.offset,
+        selector: css.slice(node.prelude.loc.start.offset, node.prelude.loc.end.offset).trim(),
+        atrule: this.atrule?.block?.loc ? css.slice(this.atrule.loc.start.offset, this.atrule.block.loc.start.offset).trim() : '',
+        declarations: node.block.children.toArray()
+          .filter((child) => child.type === 'Declaration')
+          .map((declaration) => `${declaration.property}: ${generate(declaration.value).trim()}${declaration.important ? ' !important' : ''}`),
+      }
+
+      const classes = new Set()
+      find(node.prelude, (child) => {
+        if (child.type === 'ClassSelector') {
+          classes.add(child.name)
+        }
+        return false
+      })
+      classes.forEach((className) => {
+        if (!index.has(className)) {
+          index.set(className, [])
+        }
+        index.get(className).push(rule)
+      })
+    },
+  })
+
+  return index
+}
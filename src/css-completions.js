@@ -0,0 +1,297 @@
+import { autocompletion, snippetCompletion } from '@codemirror/autocomplete'
+import { syntaxTree } from '@codemirror/language'
+import { cssCompletionSource } from '@codemirror/lang-css'
+import { lexer, definitionSyntax } from 'css-tree'
+import { __ } from '@wordpress/i18n'
+import { parseHintsFromCSS } from './hints'
+import { extractClassesFromCSS } from './css-classes'
+import { getDesignTokens } from './design-tokens'
+
+/**
+ * Context-aware autocompletion for the Global Style Editor.
+ *
+ * Completes class names in selectors (hinted classes and classes already
+ * defined in the stylesheet), CSS properties and their valid values in
+ * declaration blocks, the presets of the theme in `var()` and `token()`,
+ * and offers snippets for @hint annotations.
+ */
+
+/**
+ * CSS-wide keywords that are valid values for every property.
+ */
+const GLOBAL_KEYWORDS = ['inherit', 'initial', 'unset', 'revert', 'revert-layer']
+
+/**
+ * Maximum depth when resolving nested value types of a property syntax.
+ */
+const MAX_SYNTAX_DEPTH = 6
+
+/**
+ * Cache of value keyword completions per property name.
+ */
+const valueOptionsCache = new Map()
+
+/**
+ * Collects keywords allowed by a css-tree property or type syntax.
+ *
+ * Follows references to other types and properties, e.g. `<display-outside>`,
+ * to find all keywords that may appear in a value.
+ *
+ * @param {Object} syntax - The css-tree definition syntax to walk.
+ * @param {Set<string>} keywords - Set that collects the keywords.
+ * @param {Set<string>} visited - Names of already resolved types and properties.
+ * @param {number} depth - Current recursion depth.
+ * @returns {Set<string>} The collected keywords.
+ */
+const collectKeywords = (syntax, keywords = new Set(), visited = new Set(), depth = 0) => {
+  if (!syntax || depth > MAX_SYNTAX_DEPTH) {
+    return keywords
+  }
+
+  definitionSyntax.walk(syntax, (node) => {
+    if (node.type === 'Keyword') {
+      keywords.add(node.name)
+    } else if ((node.type === 'Type' || node.type === 'Property') && !visited.has(node.type + node.name)) {
+      visited.add(node.type + node.name)
+      const definition = node.type === 'Type' ? lexer.getType(node.name) : lexer.getProperty(node.name)
+      collectKeywords(definition?.syntax, keywords, visited, depth + 1)
+    }
+  })
+
+  return keywords
+}
+
+/**
+ * Returns completion options for the values of a property.
+ *
+ * @param {string} property - The CSS property name.
+ * @returns {Array<Object>|null} Completion options or null for unknown properties.
+ */
+const getValueOptions = (property) => {
+  if (!valueOptionsCache.has(property)) {
+    const definition = lexer.getProperty(property)
+    const keywords = definition ? [...collectKeywords(definition.syntax)].filter((keyword) => !keyword.startsWith('-')) : []
+    valueOptionsCache.set(property, keywords.length ? [
+      ...keywords.map((keyword) => ({ label: keyword, type: 'keyword', boost: 1 })),
+      ...GLOBAL_KEYWORDS.map((keyword) => ({ label: keyword, type: 'keyword' })),
+    ] : null)
+  }
+  return valueOptionsCache.get(property)
+}
+
+/**
+ * Checks whether a syntax node is inside the declaration block of a rule.
+ *
+ * @param {Object} node - A Lezer syntax node.
+ * @returns {boolean} True if the node is inside a declaration block.
+ */
+const isInDeclarationBlock = (node) => {
+  for (let current = node; current; current = current.parent) {
+    if (current.name === 'Declaration' || (current.name === 'Block' && current.parent?.name === 'RuleSet')) {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * Checks whether a syntax node is a comment.
+ *
+ * @param {Object} node - A Lezer syntax node.
+ * @returns {boolean} True if the node is a comment.
+ */
+const isComment = (node) => node.name === 'Comment'
+
+/**
+ * Completes values valid for the property of the current declaration.
+ *
+ * Falls back to the generic CSS completions for properties, at-rules,
+ * pseudo-classes and values of properties without a known syntax.
+ *
+ * @param {Object} context - The CodeMirror completion context.
+ * @returns {Object|null} Completion result.
+ */
+const propertyValueCompletionSource = (context) => {
+  const node = syntaxTree(context.state).resolveInner(context.pos, -1)
+
+  // The syntax tree is incomplete while a value is typed, so find the property from the text
+  const declaration = isInDeclarationBlock(node) && !isComment(node) && context.matchBefore(/[\w-]+\s*:[^;{}]*$/)
+  const word = context.matchBefore(/[\w-]*$/)
+
+  // References to presets are completed by designTokenCompletionSource
+  if (declaration && context.matchBefore(/\b(?:var|token)\(\s*[\w.-]*$/)) {
+    return null
+  }
+
+  if (declaration && (word.from < word.to || context.explicit)) {
+    const property = declaration.text.slice(0, declaration.text.indexOf(':')).trim().toLowerCase()
+    const options = getValueOptions(property)
+    if (options) {
+      return { from: word.from, options, validFor: /^[\w-]*$/ }
+    }
+  }
+
+  return cssCompletionSource(context)
+}
+
+/**
+ * Completes class names in selectors.
+ *
+ * Suggests classes hinted with @hint, both in the current document and
+ * in the saved stylesheet (including hints added by filters), and
+ * classes used by selectors elsewhere in the document.
+ *
+ * @param {Object} context - The CodeMirror completion context.
+ * @returns {Object|null} Completion result.
+ */
+const classCompletionSource = (context) => {
+  const match = context.matchBefore(/(?:^|[^\w-])\.[\w-]*$/)
+  if (!match) {
+    return null
+  }
+
+  // Exclude numbers like `0.5` and positions in declarations or comments
+  const node = syntaxTree(context.state).resolveInner(context.pos, -1)
+  if (isComment(node) || isInDeclarationBlock(node)) {
+    return null
+  }
+
+  const css = context.state.doc.toString()
+  const hints = { ...window.kntnt_global_styles_data?.available_hints, ...parseHintsFromCSS(css) }
+  const options = Object.entries(hints).map(([className, description]) => ({
+    label: className,
+    detail: description,
+    type: 'class',
+    boost: 1,
+  }))
+
+  extractClassesFromCSS(css).forEach((className) => {
+    if (!(className in hints)) {
+      options.push({ label: className, type: 'class' })
+    }
+  })
+
+  return { from: match.from + match.text.indexOf('.') + 1, options, validFor: /^[\w-]*$/ }
+}
+
+/**
+ * Completes the presets of the theme in declaration values.
+ *
+ * Inside `var()`, the custom properties of the presets are suggested,
+ * and inside `token()` their short form, e.g. `color.primary`. Colors and
+ * gradients are shown with a swatch.
+ *
+ * @param {Object} context - The CodeMirror completion context.
+ * @returns {Object|null} Completion result.
+ */
+const designTokenCompletionSource = (context) => {
+  const match = context.matchBefore(/\b(var|token)\(\s*[\w.-]*$/)
+  if (!match) {
+    return null
+  }
+
+  const node = syntaxTree(context.state).resolveInner(context.pos, -1)
+  if (isComment(node) || !isInDeclarationBlock(node)) {
+    return null
+  }
+
+  const tokens = getDesignTokens()
+  if (!tokens.length) {
+    return null
+  }
+
+  const isToken = match.text.startsWith('token')
+  const word = context.matchBefore(/[\w.-]*$/)
+
+  return {
+    from: word.from,
+    options: tokens.map(({ type, slug, name, value, property }) => ({
+      label: isToken ? `${type}.${slug}` : property,
+      detail: name,
+      info: value,
+      type: 'variable',
+      swatch: type === 'color' || type === 'gradient' ? value : null,
+      boost: 1,
+    })),
+    validFor: /^[\w.-]*$/,
+  }
+}
+
+/**
+ * Renders the swatch of a completion of a color or gradient preset.
+ *
+ * @param {Object} completion - The completion option.
+ * @returns {HTMLElement|null} The swatch, or null for completions without one.
+ */
+const renderSwatch = (completion) => {
+  if (!completion.swatch) {
+    return null
+  }
+  const swatch = document.createElement('span')
+  swatch.className = 'kntnt-global-styles-completion-swatch'
+  swatch.style.background = completion.swatch
+  return swatch
+}
+
+/**
+ * Offers snippets for @hint annotations.
+ *
+ * Inside a comment, the snippet inserts the annotation only. Outside
+ * rules, it inserts the annotation in a comment together with a rule
+ * skeleton for the class.
+ *
+ * @param {Object} context - The CodeMirror completion context.
+ * @returns {Object|null} Completion result.
+ */
+const hintSnippetCompletionSource = (context) => {
+  const match = context.matchBefore(/@[\w-]*$/)
+  if (!match) {
+    return null
+  }
+
+  const node = syntaxTree(context.state).resolveInner(context.pos, -1)
+
+  if (isComment(node)) {
+    return {
+      from: match.from,
+      options: [
+        snippetCompletion('@hint ${class-name} | ${description}', {
+          label: '@hint',
+          detail: __('Class annotation', 'kntnt-global-styles'),
+          type: 'keyword',
+        }),
+      ],
+    }
+  }
+
+  if (isInDeclarationBlock(node)) {
+    return null
+  }
+
+  return {
+    from: match.from,
+    options: [
+      snippetCompletion('/* @hint ${class-name} | ${description} */\n.${class-name} {\n\t${}\n}', {
+        label: '@hint',
+        detail: __('Hinted class with rule', 'kntnt-global-styles'),
+        type: 'keyword',
+        boost: 1,
+      }),
+    ],
+  }
+}
+
+/**
+ * Creates the CodeMirror autocompletion extension for the global stylesheet.
+ *
+ * @returns {Object} CodeMirror extension.
+ */
+export const cssAutocompletion = () => autocompletion({
+  addToOptions: [{ render: renderSwatch, position: 20 }],
+  override: [
+    designTokenCompletionSource,
+    propertyValueCompletionSource,
+    classCompletionSource,
+    hintSnippetCompletionSource,
+  ],
+})
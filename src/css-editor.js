@@ -1,42 +1,187 @@
-import { Button, Modal, TextareaControl, Notice } from '@wordpress/components'
-import { useState, useEffect } from '@wordpress/element'
-import { __ } from '@wordpress/i18n'
+import { Button, Modal, BaseControl, Notice, ToggleControl } from '@wordpress/components'
+import { useState, useEffect, useMemo, useRef, useCallback } from '@wordpress/element'
+import { useInstanceId, useDebounce } from '@wordpress/compose'
+import { useSelect, useDispatch } from '@wordpress/data'
+import { store as preferencesStore } from '@wordpress/preferences'
+import { __, sprintf } from '@wordpress/i18n'
+import { CodeEditor } from './code-editor'
+import { cssLinter, lintCSS, hasErrors } from './css-linter'
+import { ProblemsList } from './problems-list'
+import { cssAutocompletion } from './css-completions'
+import { RevisionHistory } from './revision-history'
+import { UsageReport } from './usage-report'
+import { ClassRename } from './class-rename'
+import { PresetManager } from './class-presets'
+import { ConflictResolver } from './conflict-resolver'
+import { indexRulesByClass } from './css-classes'
+import { parseSheets, serializeSheets } from './sheets'
+import { isPreprocessed, setPreprocessed, getCompileProblems } from './preprocessor'
+import { SheetTabs } from './sheet-tabs'
+import { PreviewToolbar } from './preview-toolbar'
+import { DockedPanel } from './docked-panel'
+import { getDraft, setDraft } from './draft'
+import { persistDraftCSS, applyDraftCSS, previewCSS, canPublishWithPost, PREFERENCES_SCOPE, PUBLISH_RESULT } from './persistence'
+import { AJAX_STATUS } from './ajax'
+
+/**
+ * Views that can be shown in the modal.
+ */
+const VIEWS = {
+  EDITOR: 'editor',
+  HISTORY: 'history',
+  USAGE: 'usage',
+  RENAME: 'rename',
+  PRESETS: 'presets',
+  CONFLICT: 'conflict',
+}
+
+/**
+ * Delay in milliseconds after the last change before it is previewed in
+ * live mode.
+ */
+const LIVE_PREVIEW_DELAY = 300
 
 /**
  * Modal component for editing global CSS styles.
  *
- * Provides a large textarea for CSS editing with live preview functionality.
- * Changes are previewed immediately in the editor but only persisted when
- * the document is saved, implementing a draft/publish workflow.
+ * Provides a CSS code editor with syntax highlighting, folding, search and
+ * replace, multiple cursors and go to line, together with live preview
+ * functionality. The CSS is validated as you type, and applying a stylesheet
+ * with errors requires an explicit confirmation. Changes are previewed
+ * immediately in the editor but only persisted when published, either
+ * directly from the modal or, if the user prefers, together with the
+ * document, implementing a draft/publish workflow. A history view lists earlier
+ * versions of the stylesheet, which can be compared and restored, and a
+ * usage view shows where the classes are used in the site's content. A
+ * class can be renamed throughout the stylesheet and the content, and the
+ * presets of the stylesheet can be managed. The stylesheet can be split
+ * into named sheets, each edited in a tab of its own. The modal can be
+ * opened at the rules of a class, which are highlighted. If the
+ * stylesheet was saved by someone else in the meantime, a conflict view
+ * helps to merge the versions. In live mode, the modal is docked as a
+ * resizable side panel and the CSS is previewed while it is typed. In
+ * preprocessor mode, the stylesheet is written in SCSS, and compile errors
+ * are listed instead of the problems found by the validator.
  *
  * @param {Object} props - Component props.
  * @param {boolean} props.isOpen - Whether the modal is currently open.
  * @param {Function} props.onClose - Callback function to close the modal.
  * @param {Function} props.onSave - Callback function when CSS is saved successfully.
+ * @param {Object|null} [props.conflict] - Save conflict to resolve, with `base`, `mine`, `theirs` and `version`.
+ * @param {string|null} [props.goToClass] - Class whose rules to scroll to and highlight when the modal opens.
  * @returns {JSX.Element|null} The modal component or null if closed.
  */
-export const CSSEditorModal = ({ isOpen, onClose, onSave }) => {
+export const CSSEditorModal = ({ isOpen, onClose, onSave, conflict = null, goToClass = null }) => {
   const [globalCss, setGlobalCss] = useState('')
   const [initialCss, setInitialCss] = useState('')
   const [isSaving, setIsSaving] = useState(false)
+  const [isPublishing, setIsPublishing] = useState(false)
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false)
   const [notice, setNotice] = useState(null)
+  const [problems, setProblems] = useState([])
+  const [view, setView] = useState(VIEWS.EDITOR)
+  const [pendingClass, setPendingClass] = useState(null)
+  const [activeSheet, setActiveSheet] = useState(0)
+  const editorId = useInstanceId(CSSEditorModal, 'kntnt-global-styles-css-editor')
+  const editorRef = useRef(null)
+
+  // Whether the user publishes the stylesheet together with the document
+  const canPublishWithDocument = canPublishWithPost()
+  const publishWithPost = useSelect((select) => canPublishWithDocument && !!select(preferencesStore).get(PREFERENCES_SCOPE, 'publishWithPost'), [canPublishWithDocument])
+  const { set: setPreference } = useDispatch(preferencesStore)
 
-// Initialize CSS content when modal opens
+  // Whether the user previews the CSS while typing, in a docked panel
+  const isLive = useSelect((select) => !!select(preferencesStore).get(PREFERENCES_SCOPE, 'livePreview'), [])
+
+  // Preview the CSS shortly after the last change, keeping the last valid CSS while it has errors
+  const previewValidCSS = useCallback((css) => {
+    if (isPreprocessed(css) || !hasErrors(lintCSS(css))) {
+      previewCSS(css).catch((error) => console.error('Kntnt Global Styles: Failed to preview CSS:', error))
+    }
+  }, [])
+  const previewWhileTyping = useDebounce(previewValidCSS, LIVE_PREVIEW_DELAY)
+
+  // The sheets of the stylesheet, of which the active one is in the code editor
+  const sheets = useMemo(() => parseSheets(globalCss), [globalCss])
+  const sheetIndex = Math.min(activeSheet, sheets.length - 1)
+
+  // In preprocessor mode, the active sheet is validated by compiling the stylesheet with it
+  const isScss = isPreprocessed(globalCss)
+  const validateRef = useRef(lintCSS)
+  validateRef.current = isScss
+    ? (css) => getCompileProblems(serializeSheets(sheets.map((sheet, index) => index === sheetIndex ? { ...sheet, css } : sheet)), sheets[sheetIndex].name)
+    : lintCSS
+
+  // Validate the CSS as it is typed, collect problems for the list and offer completions
+  const editorExtensions = useMemo(() => [cssLinter(setProblems, (css) => validateRef.current(css)), cssAutocompletion()], [])
+
+  // Initialize CSS content when modal opens
   useEffect(() => {
     if (isOpen) {
       const persistedCss = window.kntnt_global_styles_data?.css_content || ''
       // Check if draft exists (not undefined), use it even if empty string
-      const currentDraft = window.kntnt_global_styles_draft !== undefined ? window.kntnt_global_styles_draft : persistedCss
+      const currentDraft = getDraft() !== undefined ? getDraft() : persistedCss
 
       setGlobalCss(currentDraft)
       setInitialCss(currentDraft)  // Store what we loaded
       setHasUnsavedChanges(false)  // No changes yet when just opened
+      setActiveSheet(0)
+      setProblems(isPreprocessed(currentDraft) ? [] : lintCSS(parseSheets(currentDraft)[0].css))
+      setView(conflict ? VIEWS.CONFLICT : VIEWS.EDITOR)
+      setPendingClass(conflict ? null : goToClass)
+    }
+  }, [isOpen, conflict, goToClass])
+
+  // Preview changes while typing in live mode
+  useEffect(() => {
+    if (isOpen && isLive) {
+      previewWhileTyping(globalCss)
+    }
+    return () => previewWhileTyping.cancel()
+  }, [isOpen, isLive, globalCss])
+
+  // Go to the rules of a class once its CSS is in the editor
+  useEffect(() => {
+    if (!isOpen || !editorRef.current) {
+      return
+    }
+
+    const rules = pendingClass ? indexRulesByClass(globalCss).get(pendingClass) || [] : []
+    if (!rules.length) {
+      editorRef.current.highlight([])
+      if (pendingClass) {
+        setNotice({
+          type: 'info',
+          message: sprintf(
+            /* translators: %s: class name */
+            __('No rules in the stylesheet use “%s”.', 'kntnt-global-styles'),
+            pendingClass
+          ),
+        })
+      }
+      setPendingClass(null)
+      return
+    }
+
+    // Show the sheet of the first rule, and go on when it is in the editor
+    const index = sheets.findLastIndex((sheet) => sheet.from <= rules[0].from)
+    if (index !== sheetIndex) {
+      setActiveSheet(index)
+      return
     }
-  }, [isOpen])
+
+    // Highlight the rules in the sheet, with offsets relative to the sheet
+    const { from, css } = sheets[index]
+    const ranges = rules
+      .filter((rule) => rule.from >= from && rule.to <= from + css.length)
+      .map((rule) => ({ from: rule.from - from, to: rule.to - from }))
+    editorRef.current.highlight(ranges)
+    editorRef.current.goTo(ranges[0].from)
+    setPendingClass(null)
+  }, [isOpen, pendingClass, sheetIndex])
 
   /**
-   * Handles changes to the CSS content in the textarea.
+   * Handles changes to the CSS content in the code editor.
    *
    * Updates local state and draft storage, tracks unsaved changes
    * by comparing with the persisted version.
@@ -49,52 +194,91 @@ export const CSSEditorModal = ({ isOpen, onClose, onSave }) => {
     setHasUnsavedChanges(css.trim() !== initialCss.trim())
 
     // Store draft for persistence when document is saved
-    window.kntnt_global_styles_draft = css
+    setDraft(css)
   }
 
   /**
-   * Handles the save/preview action.
+   * Handles changes to the CSS of the active sheet in the code editor.
+   *
+   * @param {string} css - The new CSS content of the sheet.
+   */
+  const handleSheetCssChange = (css) => {
+    handleCssChange(serializeSheets(sheets.map((sheet, index) => index === sheetIndex ? { ...sheet, css } : sheet)))
+  }
+
+  /**
+   * Handles sheets being added, renamed, moved, enabled, disabled or deleted.
+   *
+   * @param {Array<Object>} changedSheets - The sheets in their new cascade order.
+   * @param {number} index - The position of the sheet to show.
+   */
+  const handleSheetsChange = (changedSheets, index) => {
+    handleCssChange(serializeSheets(changedSheets))
+    setActiveSheet(index)
+  }
+
+  /**
+   * Asks for confirmation before applying CSS that contains errors.
+   *
+   * In preprocessor mode, the errors are the compile errors. If the CSS
+   * can't be checked, errors can't be ruled out, so confirmation is asked
+   * for as well.
+   *
+   * @returns {Promise<boolean>} True if the CSS may be applied.
+   */
+  const confirmErrors = async () => {
+    let isValid
+    try {
+      isValid = !hasErrors(isScss ? await getCompileProblems(globalCss) : lintCSS(globalCss))
+    } catch (error) {
+      console.error('Kntnt Global Styles: Failed to check CSS for errors:', error)
+      isValid = false
+    }
+    return isValid || window.confirm(
+      __('The CSS contains errors that may break some or all of your styles. Do you really want to apply it?', 'kntnt-global-styles')
+    )
+  }
+
+  /**
+   * Applies the CSS in the editor as the draft.
    *
    * Updates the live preview in the editor and parses @hint annotations
-   * for immediate availability in the class selector. Does not persist
-   * to database - that happens when the document is saved.
+   * for immediate availability in the class selector.
+   *
+   * @returns {{css: string, hints: Object}} The applied CSS and the hints parsed from it.
+   */
+  const applyDraft = () => ({ css: globalCss, hints: applyDraftCSS(globalCss) })
+
+  /**
+   * Handles the save/preview action.
+   *
+   * Applies the CSS as the draft without persisting it to the database.
+   * If the user publishes the stylesheet together with the document, the
+   * document is marked as changed so that saving it publishes the draft.
    */
   const handleSave = async () => {
+    if (!await confirmErrors()) {
+      return // User cancelled the apply action
+    }
+
     setIsSaving(true)
     setNotice(null)
 
     try {
-      // Store draft CSS for document save persistence
-      window.kntnt_global_styles_draft = globalCss
-
-      // Parse hints from current CSS for immediate class selector updates
-      const hints = parseHintsFromCSS(globalCss)
-
-      // Update global hints data for other components
-      if (window.kntnt_global_styles_data) {
-        window.kntnt_global_styles_data.available_hints = hints
-      }
-
-      // Apply live preview styles to editor
-      if (window.kntntUpdateEditorStyles) {
-        window.kntntUpdateEditorStyles(globalCss)
-      }
+      const { css, hints } = applyDraft()
 
       // Mark document as having CSS changes for save persistence
-      if (wp.data?.dispatch('core/editor')) {
+      if (publishWithPost) {
         wp.data.dispatch('core/editor').editPost({ meta: { _kntnt_css_changed: Date.now() } })
       }
 
-      // Notify other components of hints update
-      document.dispatchEvent(new CustomEvent('kntnt-global-styles-refresh'))
-
       // Notify parent component of successful save
       if (onSave) {
-        onSave(globalCss, hints)
+        onSave(css, hints)
       }
 
       // Update initial state since user has confirmed these changes
-      setInitialCss(globalCss)
+      setInitialCss(css)
       setHasUnsavedChanges(false)
 
       onClose()
@@ -110,31 +294,131 @@ export const CSSEditorModal = ({ isOpen, onClose, onSave }) => {
   }
 
   /**
-   * Parses @hint annotations from CSS content.
+   * Handles the publish action.
    *
-   * Extracts class names and descriptions from special comment annotations
-   * using the same regex pattern as the PHP backend for consistency.
-   *
-   * @param {string} css - The CSS content to parse.
-   * @returns {Object} Object mapping class names to descriptions.
+   * Applies the CSS as the draft and persists it immediately, independent
+   * of the document. The modal stays open and reports the outcome. A save
+   * conflict switches the modal to the conflict view.
    */
-  const parseHintsFromCSS = (css) => {
-    const hints = {}
+  const handlePublish = async () => {
+    if (!await confirmErrors()) {
+      return // User cancelled the publish action
+    }
+
+    setIsPublishing(true)
+    setNotice(null)
 
-    // Use regex pattern matching the PHP implementation
-    const pattern = /^\s*\/?\*+\s@hint\s+(?<name>\S+)\s*(?:\|\s*(?<description>.*?)\s*)?(?:\*\/.*)?$/gm
+    try {
+      const { css } = applyDraft()
 
-    let match
-    while ((match = pattern.exec(css)) !== null) {
-      const className = match.groups.name?.trim()
-      const description = match.groups.description?.trim() || ''
+      const { result, code, message } = await persistDraftCSS({ notify: false })
 
-      // Validate CSS class name format
-      if (className && /^[a-zA-Z][\w-]*$/.test(className)) {
-        hints[className] = description
+      if (result === PUBLISH_RESULT.PUBLISHED) {
+        setInitialCss(css)
+        setHasUnsavedChanges(false)
+        setNotice({
+          type: 'success',
+          message: __('The global stylesheet has been published.', 'kntnt-global-styles'),
+        })
+      } else if (result === PUBLISH_RESULT.FAILED) {
+        setNotice({
+          type: 'error',
+          message,
+          // Retrying is pointless without permission
+          canRetry: code !== AJAX_STATUS.INSUFFICIENT_PERMISSIONS,
+        })
       }
+    } finally {
+      setIsPublishing(false)
+    }
+  }
+
+  /**
+   * Restores a revision from the history into the editor.
+   *
+   * The restored CSS becomes the draft, and is previewed and persisted
+   * like any other change.
+   *
+   * @param {string} css - The CSS content of the revision.
+   */
+  const handleRestore = (css) => {
+    handleCssChange(css)
+    setView(VIEWS.EDITOR)
+    setNotice({
+      type: 'info',
+      message: __('The revision has been restored into the editor. Click "Update Preview" to preview it.', 'kntnt-global-styles'),
+    })
+  }
+
+  /**
+   * Continues editing with the CSS chosen to resolve a save conflict.
+   *
+   * The version saved by someone else becomes the new base of the draft,
+   * so the next save isn't rejected again.
+   *
+   * @param {string} css - The CSS content to continue with.
+   */
+  const handleResolve = (css) => {
+    if (window.kntnt_global_styles_data) {
+      window.kntnt_global_styles_data.css_content = conflict.theirs
+      window.kntnt_global_styles_data.css_version = conflict.version
+    }
+
+    handleCssChange(css)
+    setView(VIEWS.EDITOR)
+    setNotice({
+      type: 'info',
+      message: publishWithPost
+        ? __('Click "Update Preview" and save the document, or click "Publish styles", to save the resolved stylesheet.', 'kntnt-global-styles')
+        : __('Click "Publish styles" to save the resolved stylesheet.', 'kntnt-global-styles'),
+    })
+  }
+
+  /**
+   * Applies a site-wide rename of a class to the editor.
+   *
+   * The rename has already been published, so it is applied to what was
+   * loaded as well as to the CSS being edited, and isn't counted as an
+   * unsaved change. The renamed CSS is previewed, since the blocks in the
+   * editor already use the new name.
+   *
+   * @param {Function} rename - Function that renames the class in CSS content.
+   */
+  const handleClassRename = (rename) => {
+    const css = rename(globalCss)
+    const renamedInitialCss = rename(initialCss)
+
+    setGlobalCss(css)
+    setInitialCss(renamedInitialCss)
+    setHasUnsavedChanges(css.trim() !== renamedInitialCss.trim())
+    applyDraftCSS(css)
+  }
+
+  /**
+   * Turns preprocessor mode on or off.
+   *
+   * The problems are cleared, since they were found in the other mode.
+   *
+   * @param {boolean} checked - Whether preprocessor mode is turned on.
+   */
+  const handlePreprocessedChange = (checked) => {
+    handleCssChange(setPreprocessed(globalCss, checked))
+    setProblems([])
+  }
+
+  /**
+   * Turns live mode on or off.
+   *
+   * When live mode is turned off, the preview goes back to the CSS that
+   * was applied last.
+   *
+   * @param {boolean} checked - Whether live mode is turned on.
+   */
+  const handleLiveChange = (checked) => {
+    setPreference(PREFERENCES_SCOPE, 'livePreview', checked)
+    if (!checked) {
+      previewCSS(initialCss).catch((error) => console.error('Kntnt Global Styles: Failed to preview CSS:', error))
     }
-    return hints
   }
 
   /**
@@ -153,7 +437,12 @@ export const CSSEditorModal = ({ isOpen, onClose, onSave }) => {
       }
 
       // Restore draft to what was initially loaded (discard uncommitted changes)
-      window.kntnt_global_styles_draft = initialCss
+      setDraft(initialCss)
+
+      // Remove changes previewed while typing
+      if (isLive) {
+        previewCSS(initialCss).catch((error) => console.error('Kntnt Global Styles: Failed to preview CSS:', error))
+      }
     }
 
     // Don't delete draft - it should persist between modal opens
@@ -166,33 +455,141 @@ export const CSSEditorModal = ({ isOpen, onClose, onSave }) => {
     return null
   }
 
+  // Dock the modal in live mode, so that the canvas stays visible
+  const Container = isLive ? DockedPanel : Modal
+
   return (
-    <Modal
+    <Container
       title={__('Edit Global Styles', 'kntnt-global-styles')}
       onRequestClose={handleClose}
       className="kntnt-global-styles-editor"
+      headerActions={view !== VIEWS.CONFLICT && (
+        <>
+          <Button
+            variant="tertiary"
+            isPressed={view === VIEWS.USAGE}
+            onClick={() => setView(view === VIEWS.USAGE ? VIEWS.EDITOR : VIEWS.USAGE)}
+          >
+            {__('Usage', 'kntnt-global-styles')}
+          </Button>
+          <Button
+            variant="tertiary"
+            isPressed={view === VIEWS.PRESETS}
+            onClick={() => setView(view === VIEWS.PRESETS ? VIEWS.EDITOR : VIEWS.PRESETS)}
+          >
+            {__('Presets', 'kntnt-global-styles')}
+          </Button>
+          <Button
+            variant="tertiary"
+            isPressed={view === VIEWS.RENAME}
+            onClick={() => setView(view === VIEWS.RENAME ? VIEWS.EDITOR : VIEWS.RENAME)}
+          >
+            {__('Rename class', 'kntnt-global-styles')}
+          </Button>
+          <Button
+            variant="tertiary"
+            isPressed={view === VIEWS.HISTORY}
+            onClick={() => setView(view === VIEWS.HISTORY ? VIEWS.EDITOR : VIEWS.HISTORY)}
+          >
+            {__('History', 'kntnt-global-styles')}
+          </Button>
+        </>
+      )}
     >
       {notice && (
-        <Notice status={notice.type} isDismissible={true} onRemove={() => setNotice(null)}>
+        <Notice
+          status={notice.type}
+          isDismissible={true}
+          onRemove={() => setNotice(null)}
+          actions={notice.canRetry ? [{ label: __('Retry', 'kntnt-global-styles'), onClick: handlePublish }] : []}
+        >
           {notice.message}
         </Notice>
       )}
-      <TextareaControl
-        label={__('Global CSS Editor', 'kntnt-global-styles')}
-        help={__('Define your global CSS classes here. Use @hint to make them available in the CSS selector. Changes are previewed in the editor. Save the document to make the changes permanent.', 'kntnt-global-styles')}
-        value={globalCss}
-        onChange={handleCssChange}
-        placeholder={__('/* Your global CSS here... */', 'kntnt-global-styles')}
-        style={{ fontFamily: 'monospace', fontSize: '13px' }}
-      />
-      <div className="kntnt-global-styles-editor-buttons">
-        <Button variant="secondary" onClick={handleClose}>
-          {__('Cancel', 'kntnt-global-styles')}
-        </Button>
-        <Button variant="primary" onClick={handleSave} isBusy={isSaving}>
-          {isSaving ? __('Updating preview...', 'kntnt-global-styles') : __('Update Preview', 'kntnt-global-styles')}
-        </Button>
+      {view === VIEWS.HISTORY && (
+        <RevisionHistory currentCss={globalCss} onRestore={handleRestore}/>
+      )}
+      {view === VIEWS.USAGE && (
+        <UsageReport css={globalCss}/>
+      )}
+      {view === VIEWS.PRESETS && (
+        <PresetManager css={globalCss} onChange={handleCssChange}/>
+      )}
+      {view === VIEWS.RENAME && (
+        <ClassRename css={globalCss} onRename={handleClassRename}/>
+      )}
+      {view === VIEWS.CONFLICT && (
+        <ConflictResolver conflict={conflict} onResolve={handleResolve}/>
+      )}
+      {/* Keep the editor mounted while other views are shown to preserve undo history */}
+      <div className="kntnt-global-styles-editor-view" hidden={view !== VIEWS.EDITOR}>
+        <BaseControl
+          id={editorId}
+          label={__('Global CSS Editor', 'kntnt-global-styles')}
+          help={publishWithPost
+            ? __('Define your global CSS classes here. Use @hint to make them available in the CSS selector. Changes are previewed in the editor. Save the document or publish the styles to make the changes permanent.', 'kntnt-global-styles')
+            : __('Define your global CSS classes here. Use @hint to make them available in the CSS selector. Changes are previewed in the editor. Publish the styles to make the changes permanent.', 'kntnt-global-styles')}
+          __nextHasNoMarginBottom
+        >
+          <SheetTabs
+            sheets={sheets}
+            activeIndex={sheetIndex}
+            onSelect={setActiveSheet}
+            onChange={handleSheetsChange}
+          />
+          <CodeEditor
+            ref={editorRef}
+            id={editorId}
+            value={sheets[sheetIndex].css}
+            onChange={handleSheetCssChange}
+            placeholder={__('/* Your global CSS here... */', 'kntnt-global-styles')}
+            extensions={editorExtensions}
+          />
+        </BaseControl>
+        <ProblemsList
+          problems={problems}
+          onSelect={(problem) => editorRef.current?.goTo(problem.from, problem.to)}
+        />
+        <PreviewToolbar/>
+      </div>
+      <div className="kntnt-global-styles-editor-footer">
+        <ToggleControl
+          label={__('Live preview while typing', 'kntnt-global-styles')}
+          checked={isLive}
+          onChange={handleLiveChange}
+          __nextHasNoMarginBottom
+        />
+        <ToggleControl
+          label={__('Write in SCSS', 'kntnt-global-styles')}
+          checked={isScss}
+          onChange={handlePreprocessedChange}
+          __nextHasNoMarginBottom
+        />
+        {canPublishWithDocument && (
+          <ToggleControl
+            label={__('Publish styles when the document is saved', 'kntnt-global-styles')}
+            checked={publishWithPost}
+            onChange={(checked) => setPreference(PREFERENCES_SCOPE, 'publishWithPost', checked)}
+            __nextHasNoMarginBottom
+          />
+        )}
+        <div className="kntnt-global-styles-editor-buttons">
+          <Button variant="secondary" onClick={handleClose}>
+            {__('Cancel', 'kntnt-global-styles')}
+          </Button>
+          <Button variant="secondary" onClick={handleSave} isBusy={isSaving} disabled={isPublishing}>
+            {isSaving ? __('Updating preview...', 'kntnt-global-styles') : __('Update Preview', 'kntnt-global-styles')}
+          </Button>
+          <Button
+            variant="primary"
+            onClick={handlePublish}
+            isBusy={isPublishing}
+            disabled={isPublishing || isSaving || view === VIEWS.CONFLICT || globalCss === window.kntnt_global_styles_data?.css_content}
+          >
+            {isPublishing ? __('Publishing...', 'kntnt-global-styles') : __('Publish styles', 'kntnt-global-styles')}
+          </Button>
+        </div>
       </div>
-    </Modal>
+    </Container>
   )
 }
\ No newline at end of file
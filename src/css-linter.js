@@ -0,0 +1,325 @@
+import { parse, walk, generate, lexer } from 'css-tree'
+import { linter, lintGutter } from '@codemirror/lint'
+import { __, sprintf } from '@wordpress/i18n'
+import { getPresetProperties, getPresetProperty, PRESET_PROPERTY_PREFIX, TOKEN_PATTERN } from './design-tokens'
+import { suggestClass } from './unknown-classes'
+
+/**
+ * Client-side CSS validation for the Global Style Editor.
+ *
+ * Parses the stylesheet as the user types and reports problems with
+ * line and column information. Errors are problems that break the
+ * stylesheet (e.g. unbalanced braces), warnings are problems that only
+ * affect individual declarations or rules (e.g. unknown properties).
+ * References to presets of the theme that don't exist are warned about.
+ */
+
+/**
+ * Delay in milliseconds before the editor content is validated after typing.
+ */
+const LINT_DELAY = 500
+
+/**
+ * Regular expression for what may be the short form of a token, e.g.
+ * `token(color.primary)`, or a comment, in which tokens are ignored.
+ */
+const TOKEN_CANDIDATE_PATTERN = /(\/\*[\s\S]*?(?:\*\/|$))|\btoken\([^(){};]*\)/g
+
+/**
+ * Creates a problem object.
+ *
+ * @param {string} severity - Either 'error' or 'warning'.
+ * @param {string} message - Human readable description of the problem.
+ * @param {number} from - Start offset of the problem in the CSS.
+ * @param {number} to - End offset of the problem in the CSS.
+ * @returns {Object} The problem.
+ */
+const createProblem = (severity, message, from, to = from) => ({ severity, message, from, to })
+
+/**
+ * Checks that braces are balanced and that comments are closed.
+ *
+ * The CSS parser recovers silently from missing closing braces, so this
+ * check walks the source and tracks braces outside comments and strings.
+ *
+ * @param {string} css - The CSS content to check.
+ * @returns {Array<Object>} Problems found.
+ */
+const checkStructure = (css) => {
+  const problems = []
+  const openBraces = []
+  let i = 0
+
+  while (i < css.length) {
+    const char = css[i]
+
+    // Skip comments, and report those that are never closed
+    if (char === '/' && css[i + 1] === '*') {
+      const end = css.indexOf('*/', i + 2)
+      if (end === -1) {
+        problems.push(createProblem('error', __('Unclosed comment.', 'kntnt-global-styles'), i, i + 2))
+        break
+      }
+      i = end + 2
+      continue
+    }
+
+    // Skip strings, including escaped quotes
+    if (char === '"' || char === '\'') {
+      let j = i + 1
+      while (j < css.length && css[j] !== char && css[j] !== '\n') {
+        j += css[j] === '\\' ? 2 : 1
+      }
+      i = j + 1
+      continue
+    }
+
+    if (char === '{') {
+      openBraces.push(i)
+    } else if (char === '}') {
+      if (openBraces.length) {
+        openBraces.pop()
+      } else {
+        problems.push(createProblem('error', __('Unexpected closing brace.', 'kntnt-global-styles'), i, i + 1))
+      }
+    }
+
+    i++
+  }
+
+  // Every brace left open breaks all rules that follow it
+  openBraces.forEach((offset) => {
+    problems.push(createProblem('error', __('Unclosed block. A closing brace is missing.', 'kntnt-global-styles'), offset, offset + 1))
+  })
+
+  return problems
+}
+
+/**
+ * Checks a reference to a preset of the theme.
+ *
+ * @param {string} property - The custom property of the preset.
+ * @param {string} reference - The reference as written, e.g. `token(color.primary)`.
+ * @param {Set<string>} presetProperties - The custom properties of the presets of the theme.
+ * @param {number} from - Start offset of the reference in the CSS.
+ * @param {number} to - End offset of the reference in the CSS.
+ * @returns {Object|null} A problem if the preset doesn't exist, otherwise null.
+ */
+const checkPresetReference = (property, reference, presetProperties, from, to) => {
+  if (presetProperties.has(property)) {
+    return null
+  }
+  const suggestion = suggestClass(property, presetProperties)
+  const isToken = reference.startsWith('token(')
+  return createProblem('warning', suggestion
+    ? sprintf(
+      /* translators: 1: preset reference, 2: suggested custom property */
+      __('Unknown preset "%1$s". Did you mean "%2$s"?', 'kntnt-global-styles'),
+      reference,
+      isToken ? `token(${suggestion.slice(PRESET_PROPERTY_PREFIX.length).replace('--', '.')})` : suggestion
+    )
+    : sprintf(
+      /* translators: %s: preset reference */
+      __('Unknown preset "%s".', 'kntnt-global-styles'),
+      reference
+    ), from, to)
+}
+
+/**
+ * Checks the short form of tokens, e.g. `token(color.primary)`.
+ *
+ * The parser doesn't understand tokens, so valid tokens are masked as
+ * `var()` functions of the same length, e.g. `var(--color-primary)`,
+ * which keeps the offsets of everything else.
+ *
+ * @param {string} css - The CSS content to check.
+ * @param {Set<string>} presetProperties - The custom properties of the presets of the theme.
+ * @returns {{css: string, problems: Array<Object>}} The CSS with the tokens masked, and the problems found.
+ */
+const checkTokens = (css, presetProperties) => {
+  const problems = []
+  const masked = css.replace(TOKEN_CANDIDATE_PATTERN, (reference, comment, offset) => {
+    if (comment) {
+      return comment
+    }
+    const match = TOKEN_PATTERN.exec(reference)
+    if (!match) {
+      problems.push(createProblem('warning', __('Invalid token. Write it as token(type.name), e.g. token(color.primary).', 'kntnt-global-styles'), offset, offset + reference.length))
+      return reference
+    }
+    const problem = presetProperties.size && checkPresetReference(getPresetProperty(match[1], match[2]), reference, presetProperties, offset, offset + reference.length)
+    if (problem) {
+      problems.push(problem)
+    }
+    const [, before, name, after] = /^(\s*)(.*?)(\s*)$/.exec(reference.slice(6, -1))
+    return 'var(' + before + '--' + name.replace('.', '-') + after + ')'
+  })
+  return { css: masked, problems }
+}
+
+/**
+ * Validates declarations, at-rules and selectors of a parsed stylesheet.
+ *
+ * References to presets are only checked if the presets of the theme
+ * are known, i.e. in the block editor.
+ *
+ * @param {Object} ast - The css-tree AST with positions.
+ * @param {Set<string>} presetProperties - The custom properties of the presets of the theme.
+ * @returns {Array<Object>} Problems found.
+ */
+const checkSemantics = (ast, presetProperties) => {
+  const problems = []
+  const seenSelectors = new Map()
+
+  walk(ast, {
+    enter (node) {
+      if (!node.loc) {
+        return
+      }
+      const { start, end } = node.loc
+
+      if (node.type === 'Function' && node.name === 'var' && presetProperties.size) {
+        const identifier = node.children.first
+        if (identifier?.type === 'Identifier' && identifier.loc && identifier.name.startsWith(PRESET_PROPERTY_PREFIX)) {
+          const { name, loc } = identifier
+          const problem = checkPresetReference(name, name, presetProperties, loc.start.offset, loc.end.offset)
+          if (problem) {
+            problems.push(problem)
+          }
+        }
+      }
+
+      if (node.type === 'Declaration') {
+        // Custom properties can hold anything
+        if (node.property.startsWith('--')) {
+          return
+        }
+
+        const match = lexer.matchProperty(node.property, node.value)
+        if (!match.error) {
+          return
+        }
+
+        if (match.error.name === 'SyntaxReferenceError') {
+          // Vendor-prefixed properties are too many to keep track of
+          if (!node.property.startsWith('-')) {
+            problems.push(createProblem('warning', sprintf(
+              /* translators: %s: CSS property name */
+              __('Unknown property "%s".', 'kntnt-global-styles'),
+              node.property
+            ), start.offset, start.offset + node.property.length))
+          }
+        } else if (match.error.name === 'SyntaxMatchError') {
+          problems.push(createProblem('warning', sprintf(
+            /* translators: %s: CSS property name */
+            __('Invalid value for property "%s".', 'kntnt-global-styles'),
+            node.property
+          ), start.offset, end.offset))
+        }
+      }
+
+      if (node.type === 'Atrule' && lexer.checkAtruleName(node.name)) {
+        problems.push(createProblem('warning', sprintf(
+          /* translators: %s: CSS at-rule name including the @ sign */
+          __('Unknown at-rule "%s".', 'kntnt-global-styles'),
+          '@' + node.name
+        ), start.offset, start.offset + node.name.length + 1))
+      }
+
+      if (node.type === 'Rule' && node.prelude.type === 'SelectorList') {
+        // Selectors are only duplicates within the same at-rule context
+        const context = this.atrule ? '@' + this.atrule.name + ' ' + (this.atrule.prelude ? generate(this.atrule.prelude) : '') : ''
+        const key = context + '\n' + generate(node.prelude)
+        if (seenSelectors.has(key)) {
+          problems.push(createProblem('warning', sprintf(
+            /* translators: 1: CSS selector, 2: line number */
+            __('Duplicate selector "%1$s" (first used on line %2$d).', 'kntnt-global-styles'),
+            generate(node.prelude),
+            seenSelectors.get(key)
+          ), start.offset, node.prelude.loc.end.offset))
+        } else {
+          seenSelectors.set(key, start.line)
+        }
+      }
+    },
+  })
+
+  return problems
+}
+
+/**
+ * Converts an offset into a 1-based line and column position.
+ *
+ * @param {string} css - The CSS content.
+ * @param {number} offset - Offset into the CSS content.
+ * @returns {{line: number, column: number}} The position.
+ */
+const offsetToPosition = (css, offset) => {
+  const before = css.slice(0, offset)
+  const line = before.split('\n').length
+  const column = offset - before.lastIndexOf('\n')
+  return { line, column }
+}
+
+/**
+ * Validates CSS content and reports errors and warnings.
+ *
+ * @param {string} css - The CSS content to validate.
+ * @returns {Array<{severity: string, message: string, from: number, to: number, line: number, column: number}>}
+ *   Problems sorted by position.
+ */
+export const lintCSS = (css) => {
+  const problems = checkStructure(css)
+  const presetProperties = getPresetProperties()
+  const tokens = checkTokens(css, presetProperties)
+  problems.push(...tokens.problems)
+
+  const ast = parse(tokens.css, {
+    positions: true,
+    onParseError: (error) => {
+      problems.push(createProblem('error', error.message, error.offset, error.offset + 1))
+    },
+  })
+
+  problems.push(...checkSemantics(ast, presetProperties))
+
+  return problems
+    .map((problem) => ({ ...problem, ...offsetToPosition(css, problem.from) }))
+    .sort((a, b) => a.from - b.from)
+}
+
+/**
+ * Checks whether a list of problems contains any errors.
+ *
+ * @param {Array<Object>} problems - Problems as returned by lintCSS().
+ * @returns {boolean} True if at least one problem is an error.
+ */
+export const hasErrors = (problems) => problems.some((problem) => problem.severity === 'error')
+
+/**
+ * Creates CodeMirror extensions that validate the editor content.
+ *
+ * Shows error and warning markers in the gutter and underlines the
+ * offending code. The problems are also reported through the callback
+ * so they can be listed outside the editor.
+ *
+ * @param {Function} onProblems - Callback receiving the problems after each validation.
+ * @param {Function} [validate] - Function returning the problems of the content, or a promise of them. Defaults to lintCSS().
+ * @returns {Array} CodeMirror extensions.
+ */
+export const cssLinter = (onProblems, validate = lintCSS) => [
+  linter(async (view) => {
+    const css = view.state.doc.toString()
+    const problems = await validate(css)
+    if (onProblems) {
+      onProblems(problems)
+    }
+    return problems.map(({ from, to, severity, message }) => ({
+      from: Math.min(from, css.length),
+      to: Math.min(to, css.length),
+      severity,
+      message,
+    }))
+  }, { delay: LINT_DELAY }),
+  lintGutter(),
+]
@@ -0,0 +1,128 @@
+/**
+ * Design tokens of the active theme for the global stylesheet.
+ *
+ * The presets defined in theme.json (colors, gradients, font sizes, font
+ * families, spacing sizes and shadows) are available to all CSS as
+ * custom properties, e.g. `var(--wp--preset--color--primary)`. The
+ * presets are read from the block editor settings, so that references
+ * to them can be completed and checked in the Global Style Editor. The
+ * short form `token(color.primary)` is kept in the stylesheet as it is
+ * written, and expanded to the custom property in the CSS that is output.
+ * The expansion mirrors `DesignTokens::expand()` in PHP.
+ */
+
+/**
+ * Types of presets, with where they are found in the block editor
+ * settings and the key holding their values.
+ */
+const PRESET_TYPES = [
+  { type: 'color', path: ['color', 'palette'], fallback: 'colors', valueKey: 'color' },
+  { type: 'gradient', path: ['color', 'gradients'], fallback: 'gradients', valueKey: 'gradient' },
+  { type: 'font-size', path: ['typography', 'fontSizes'], fallback: 'fontSizes', valueKey: 'size' },
+  { type: 'font-family', path: ['typography', 'fontFamilies'], valueKey: 'fontFamily' },
+  { type: 'spacing', path: ['spacing', 'spacingSizes'], valueKey: 'size' },
+  { type: 'shadow', path: ['shadow', 'presets'], valueKey: 'shadow' },
+]
+
+/**
+ * Origins of presets, in the order in which they override each other.
+ */
+const ORIGINS = ['default', 'theme', 'custom']
+
+/**
+ * Prefix of the custom properties of presets.
+ */
+export const PRESET_PROPERTY_PREFIX = '--wp--preset--'
+
+/**
+ * Regular expression for the short form of a token, e.g. `token(color.primary)`,
+ * or a comment, which is left as it is.
+ */
+const TOKEN_OR_COMMENT_PATTERN = /(\/\*[\s\S]*?(?:\*\/|$))|\btoken\(\s*([a-z][\w-]*)\.([\w-]+)\s*\)/g
+
+/**
+ * Regular expression for the short form of a single token.
+ */
+export const TOKEN_PATTERN = /^token\(\s*([a-z][\w-]*)\.([\w-]+)\s*\)$/
+
+/**
+ * The features the tokens were last read from, and the tokens.
+ */
+let cached = { features: null, tokens: [] }
+
+/**
+ * Converts a slug to the form used in custom properties, as WordPress does.
+ *
+ * @param {string} slug - The slug of a preset.
+ * @returns {string} The slug in kebab case, e.g. `x-large` for `xLarge` and `h-1` for `h1`.
+ */
+const toKebabCase = (slug) => String(slug)
+  .replace(/([a-z])([A-Z])/g, '$1-$2')
+  .replace(/([a-zA-Z])(\d)/g, '$1-$2')
+  .replace(/(\d)([a-zA-Z])/g, '$1-$2')
+  .replace(/[^a-zA-Z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .toLowerCase()
+
+/**
+ * Creates the custom property of a preset.
+ *
+ * @param {string} type - The type of the preset, e.g. `color`.
+ * @param {string} slug - The slug of the preset, in kebab case.
+ * @returns {string} The custom property, e.g. `--wp--preset--color--primary`.
+ */
+export const getPresetProperty = (type, slug) => `${PRESET_PROPERTY_PREFIX}${type}--${slug}`
+
+/**
+ * Gets the design tokens of the active theme.
+ *
+ * The tokens are read from the block editor settings, and kept until the
+ * settings change. Outside the block editor, there are no tokens.
+ *
+ * @returns {Array<Object>} The tokens, each with its `type`, `slug`, `name`, `value` and custom `property`.
+ */
+export const getDesignTokens = () => {
+  const settings = window.wp?.data?.select('core/block-editor')?.getSettings() || {}
+  const features = settings.__experimentalFeatures || settings
+  if (cached.features === features) {
+    return cached.tokens
+  }
+
+  const tokens = new Map()
+  PRESET_TYPES.forEach(({ type, path, fallback, valueKey }) => {
+    const presets = path.reduce((value, key) => value?.[key], settings.__experimentalFeatures) ?? settings[fallback]
+    const list = Array.isArray(presets) ? presets : ORIGINS.flatMap((origin) => presets?.[origin] || [])
+    list.forEach((preset) => {
+      if (!preset?.slug) {
+        return
+      }
+      const slug = toKebabCase(preset.slug)
+      const property = getPresetProperty(type, slug)
+      tokens.set(property, { type, slug, name: preset.name || preset.slug, value: String(preset[valueKey] ?? ''), property })
+    })
+  })
+
+  cached = { features, tokens: [...tokens.values()] }
+  return cached.tokens
+}
+
+/**
+ * Gets the custom properties of the design tokens.
+ *
+ * @returns {Set<string>} The custom properties.
+ */
+export const getPresetProperties = () => new Set(getDesignTokens().map(({ property }) => property))
+
+/**
+ * Expands the short form of tokens to the custom properties of the presets.
+ *
+ * `token(color.primary)` becomes `var(--wp--preset--color--primary)`.
+ * Tokens in comments are left as they are.
+ *
+ * @param {string} css - The CSS content.
+ * @returns {string} The CSS content with the tokens expanded.
+ */
+export const expandTokens = (css) => (css || '').replace(
+  TOKEN_OR_COMMENT_PATTERN,
+  (match, comment, type, slug) => comment ?? `var(${getPresetProperty(type, slug)})`
+)
@@ -0,0 +1,58 @@
+import { useRef, useEffect } from '@wordpress/element'
+import { EditorState } from '@codemirror/state'
+import { EditorView, lineNumbers } from '@codemirror/view'
+import { syntaxHighlighting, defaultHighlightStyle } from '@codemirror/language'
+import { css } from '@codemirror/lang-css'
+import { MergeView } from '@codemirror/merge'
+
+/**
+ * Read-only side-by-side diff of two versions of a stylesheet.
+ *
+ * Highlights changed lines and characters between the left and the right
+ * version and collapses long runs of unchanged lines.
+ */
+
+/**
+ * Extensions shared by both sides of the diff.
+ */
+const diffExtensions = [
+  lineNumbers(),
+  syntaxHighlighting(defaultHighlightStyle, { fallback: true }),
+  css(),
+  EditorState.readOnly.of(true),
+  EditorView.editable.of(false),
+  EditorView.theme({
+    '.cm-scroller': {
+      fontFamily: '\'Monaco\', \'Menlo\', \'Ubuntu Mono\', \'Consolas\', \'source-code-pro\', monospace',
+      fontSize: '13px',
+      lineHeight: '1.4',
+    },
+  }),
+]
+
+/**
+ * Side-by-side diff component.
+ *
+ * @param {Object} props - Component props.
+ * @param {string} props.left - The CSS shown on the left side, typically the older version.
+ * @param {string} props.right - The CSS shown on the right side, typically the newer version.
+ * @returns {JSX.Element} The diff container.
+ */
+export const DiffView = ({ left, right }) => {
+  const containerRef = useRef(null)
+
+  // Recreate the merge view whenever one of the versions changes
+  useEffect(() => {
+    const view = new MergeView({
+      a: { doc: left, extensions: diffExtensions },
+      b: { doc: right, extensions: diffExtensions },
+      parent: containerRef.current,
+      collapseUnchanged: { margin: 3, minSize: 6 },
+      gutter: true,
+    })
+
+    return () => view.destroy()
+  }, [left, right])
+
+  return <div className="kntnt-global-styles-diff" ref={containerRef}/>
+}
@@ -0,0 +1,65 @@
+import { Button, ResizableBox } from '@wordpress/components'
+import { createPortal } from '@wordpress/element'
+import { useInstanceId } from '@wordpress/compose'
+import { useSelect, useDispatch } from '@wordpress/data'
+import { store as preferencesStore } from '@wordpress/preferences'
+import { __ } from '@wordpress/i18n'
+import { PREFERENCES_SCOPE } from './persistence'
+
+/**
+ * Default width of the docked panel in pixels.
+ */
+const DEFAULT_WIDTH = 480
+
+/**
+ * Minimum width of the docked panel in pixels.
+ */
+const MIN_WIDTH = 320
+
+/**
+ * Panel docked to the right edge of the editor, used instead of a modal
+ * so that the canvas stays visible and usable.
+ *
+ * Takes the same props as the Modal component it replaces. The panel is
+ * resized by dragging its left edge, and the width is remembered for the
+ * user.
+ *
+ * @param {Object} props - Component props.
+ * @param {string} props.title - The title of the panel.
+ * @param {Function} props.onRequestClose - Callback when the panel is closed.
+ * @param {string} [props.className] - Additional class names of the panel.
+ * @param {JSX.Element} [props.headerActions] - Actions shown in the header before the close button.
+ * @param {JSX.Element} props.children - The content of the panel.
+ * @returns {JSX.Element} The panel, rendered at the end of the document body.
+ */
+export const DockedPanel = ({ title, onRequestClose, className = '', headerActions = null, children }) => {
+  const titleId = useInstanceId(DockedPanel, 'kntnt-global-styles-docked-panel-title')
+  const width = useSelect((select) => select(preferencesStore).get(PREFERENCES_SCOPE, 'dockedPanelWidth') || DEFAULT_WIDTH, [])
+  const { set: setPreference } = useDispatch(preferencesStore)
+
+  return createPortal(
+    <ResizableBox
+      className={'kntnt-global-styles-docked-panel ' + className}
+      style={{ position: 'fixed' }}
+      size={{ width }}
+      minWidth={MIN_WIDTH}
+      maxWidth="90vw"
+      enable={{ left: true }}
+      onResizeStop={(event, direction, element) => setPreference(PREFERENCES_SCOPE, 'dockedPanelWidth', element.offsetWidth)}
+    >
+      <div className="kntnt-global-styles-docked-panel__frame" role="dialog" aria-labelledby={titleId}>
+        <div className="kntnt-global-styles-docked-panel__header">
+          <h1 id={titleId} className="kntnt-global-styles-docked-panel__title">
+            {title}
+          </h1>
+          {headerActions}
+          <Button icon="no-alt" label={__('Close', 'kntnt-global-styles')} onClick={onRequestClose}/>
+        </div>
+        <div className="kntnt-global-styles-docked-panel__content">
+          {children}
+        </div>
+      </div>
+    </ResizableBox>,
+    document.body
+  )
+}
@@ -0,0 +1,77 @@
+/**
+ * Draft storage for the global stylesheet.
+ *
+ * The draft is the CSS edited in the Global Style Editor but not yet
+ * persisted to the server. It lives in `window.kntnt_global_styles_draft`
+ * for the current page, and is mirrored to local storage together with
+ * the version it is based on, so it survives a reload or a failed save.
+ */
+
+/**
+ * Gets the local storage key for the draft.
+ *
+ * The key includes the AJAX URL to keep drafts of different sites on the
+ * same domain (e.g. a multisite with subdirectories) apart.
+ *
+ * @returns {string} The storage key.
+ */
+const getStorageKey = () => 'kntnt-global-styles-draft:' + (window.kntnt_global_styles_data?.ajax_url || '')
+
+/**
+ * Gets the current draft.
+ *
+ * @returns {string|undefined} The draft CSS, or undefined if there is no draft.
+ */
+export const getDraft = () => window.kntnt_global_styles_draft
+
+/**
+ * Sets the current draft and mirrors it to local storage.
+ *
+ * @param {string} css - The draft CSS.
+ */
+export const setDraft = (css) => {
+  window.kntnt_global_styles_draft = css
+
+  try {
+    // A draft equal to the persisted CSS has nothing worth keeping
+    if (css === window.kntnt_global_styles_data?.css_content) {
+      window.localStorage.removeItem(getStorageKey())
+      return
+    }
+    window.localStorage.setItem(getStorageKey(), JSON.stringify({
+      css,
+      baseCss: window.kntnt_global_styles_data?.css_content || '',
+      baseVersion: window.kntnt_global_styles_data?.css_version || '',
+    }))
+  } catch (error) {
+    // Storage may be full or disabled; the draft still lives in memory
+    console.warn('Kntnt Global Styles: Could not store draft CSS locally:', error)
+  }
+}
+
+/**
+ * Removes the current draft, both in memory and in local storage.
+ */
+export const clearDraft = () => {
+  delete window.kntnt_global_styles_draft
+
+  try {
+    window.localStorage.removeItem(getStorageKey())
+  } catch (error) {
+    console.warn('Kntnt Global Styles: Could not remove locally stored draft CSS:', error)
+  }
+}
+
+/**
+ * Gets a draft stored in local storage by an earlier page load.
+ *
+ * @returns {{css: string, baseCss: string, baseVersion: string}|null} The stored draft, or null if there is none.
+ */
+export const getStoredDraft = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(getStorageKey()) || 'null')
+    return typeof stored?.css === 'string' ? stored : null
+  } catch (error) {
+    return null
+  }
+}
@@ -7,33 +7,52 @@ import { __ } from '@wordpress/i18n'
 import { PluginMoreMenuItem } from '@wordpress/editor'
 import { store as keyboardShortcutsStore } from '@wordpress/keyboard-shortcuts'
 import { useCommand } from '@wordpress/commands'
+import { isPublishingWithPost, getStoredDraftConflict } from './persistence'
+import { ClassClipboard, COPY_SHORTCUT, PASTE_SHORTCUT } from './class-clipboard'
+import { UnknownClassesPanel } from './unknown-classes'
 
 /**
  * Custom event name for opening the Global Styles Editor modal.
  * Used for communication between different parts of the plugin.
+ * The event detail may carry a save conflict to resolve, or a class
+ * whose rules to go to.
  */
-const OPEN_MODAL_EVENT = 'kntnt-open-gse-modal'
+export const OPEN_MODAL_EVENT = 'kntnt-open-gse-modal'
 
 /**
  * Modal manager component that handles the CSS editor modal state.
  *
  * Listens for open events and manages the modal lifecycle, including
- * success notifications and data refresh after CSS changes.
+ * success notifications, data refresh after CSS changes, and save
+ * conflicts and classes to go to passed with the open event. A draft
+ * left by an earlier session that conflicts with the saved stylesheet
+ * is opened in the conflict view until it is resolved.
  */
 const ModalManager = () => {
   const [isModalOpen, setModalOpen] = useState(false)
+  const [conflict, setConflict] = useState(null)
+  const [goToClass, setGoToClass] = useState(null)
   const { createNotice } = useDispatch('core/notices')
 
   // Listen for modal open events from various triggers
   useEffect(() => {
-    const handleOpenEvent = () => setModalOpen(true)
+    const handleOpenEvent = (event) => {
+      // A draft from an earlier session must be merged before it can be edited
+      setConflict(event.detail?.conflict || getStoredDraftConflict())
+      setGoToClass(event.detail?.goToClass || null)
+      setModalOpen(true)
+    }
     document.addEventListener(OPEN_MODAL_EVENT, handleOpenEvent)
     return () => {
       document.removeEventListener(OPEN_MODAL_EVENT, handleOpenEvent)
     }
   }, [])
 
-  const closeModal = () => setModalOpen(false)
+  const closeModal = () => {
+    setModalOpen(false)
+    setConflict(null)
+    setGoToClass(null)
+  }
 
   /**
    * Handles successful CSS save operations.
@@ -47,7 +66,9 @@ const ModalManager = () => {
   const onSaveSuccess = (cssContent, newHints) => {
     createNotice(
       'success',
-      __('CSS updated in editor. Save the document to make changes permanent.', 'kntnt-global-styles'),
+      isPublishingWithPost()
+        ? __('CSS updated in editor. Save the document to make changes permanent.', 'kntnt-global-styles')
+        : __('CSS updated in editor. Publish the styles in the Global Style Editor to make changes permanent.', 'kntnt-global-styles'),
       { type: 'snackbar', isDismissible: true }
     )
 
@@ -61,6 +82,8 @@ const ModalManager = () => {
         isOpen={isModalOpen}
         onClose={closeModal}
         onSave={onSaveSuccess}
+        conflict={conflict}
+        goToClass={goToClass}
       />
     </KntntErrorBoundary>
   )
@@ -114,6 +137,8 @@ registerPlugin('kntnt-global-styles-more-menu-item', {
  *
  * Registers Cmd/Ctrl+Shift+G shortcut to open the CSS editor modal.
  * Provides both WordPress API integration and fallback manual event handling.
+ * Also registers the shortcuts for copying and pasting classes, which are
+ * handled by the ClassClipboard component.
  */
 const ShortcutRegistration = () => {
   const { registerShortcut } = useDispatch(keyboardShortcutsStore) || {}
@@ -134,6 +159,24 @@ const ShortcutRegistration = () => {
             document.dispatchEvent(new CustomEvent(OPEN_MODAL_EVENT))
           },
         })
+        registerShortcut({
+          name: COPY_SHORTCUT,
+          category: 'block',
+          description: __('Copy the classes of the selected blocks.', 'kntnt-global-styles'),
+          keyCombination: {
+            modifier: 'access', // Ctrl+Option on Mac, Shift+Alt on PC
+            character: 'c',
+          },
+        })
+        registerShortcut({
+          name: PASTE_SHORTCUT,
+          category: 'block',
+          description: __('Paste classes onto the selected blocks.', 'kntnt-global-styles'),
+          keyCombination: {
+            modifier: 'access',
+            character: 'v',
+          },
+        })
       } catch (error) {
         console.warn('Kntnt Global Styles: WordPress shortcut registration failed:', error)
       }
@@ -172,6 +215,16 @@ registerPlugin('kntnt-global-styles-shortcut-registration', {
   render: ShortcutRegistration,
 })
 
+// Register the copy and paste actions for classes
+registerPlugin('kntnt-global-styles-class-clipboard', {
+  render: ClassClipboard,
+})
+
+// Register the pre-publish check for unknown classes
+registerPlugin('kntnt-global-styles-unknown-classes', {
+  render: UnknownClassesPanel,
+})
+
 /**
  * Command palette registration component.
  *
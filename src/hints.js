@@ -0,0 +1,287 @@
+import { getEnabledCSS, appendToEnabledSheet } from './sheets'
+
+/**
+ * Parsing of @hint annotations in the global stylesheet.
+ *
+ * Mirrors the parsing done by `Editor::parse_hints_from_css()` in PHP, so
+ * that hints are available in the class selector immediately after the
+ * CSS is changed in the editor, without a round-trip to the server.
+ *
+ * Besides the class name and description, a hint may carry modifiers
+ * after the description, e.g. `@hint btn-old | Old button @deprecated btn`,
+ * and hints may be grouped with `@group` lines. The modifiers and groups
+ * are kept as annotations, separate from the descriptions. Classes of
+ * which a block should use at most one are declared with `@variants`, and
+ * classes often used together can be bundled with `@preset`.
+ */
+
+/**
+ * Regular expression for @hint annotations, matching the PHP implementation.
+ */
+const HINT_PATTERN = /^\s*\/?\*+\s@hint\s+(?<name>\S+)\s*(?:\|\s*(?<description>.*?)\s*)?(?:\*\/.*)?$/
+
+/**
+ * Regular expression for @group annotations, matching the PHP implementation.
+ */
+const GROUP_PATTERN = /^\s*\/?\*+\s@group(?:\s+(?<name>.*?))?\s*(?:\*\/.*)?$/
+
+/**
+ * Creates a regular expression for annotations naming a set of classes,
+ * e.g. `@variants Size | size-s size-m size-l`, matching the PHP implementation.
+ *
+ * @param {string} key - The annotation, without the `@`.
+ * @returns {RegExp} The regular expression, capturing the name and the classes.
+ */
+const createClassSetPattern = (key) => new RegExp(`^\\s*\\/?\\*+\\s@${key}\\s+(?<name>[^|]*?)\\s*\\|\\s*(?<classes>.*?)\\s*(?:\\*\\/.*)?$`)
+
+/**
+ * Regular expression for @variants annotations.
+ */
+const VARIANTS_PATTERN = createClassSetPattern('variants')
+
+/**
+ * Regular expression for @preset annotations.
+ */
+const PRESET_PATTERN = createClassSetPattern('preset')
+
+/**
+ * Modifiers that may follow the description of a hint, matching the PHP implementation.
+ */
+const MODIFIER_KEYS = 'deprecated|requires|conflicts|preview|blocks'
+
+/**
+ * Regular expression for the start of the modifiers in a description.
+ */
+const MODIFIERS_START_PATTERN = new RegExp(`(?:^|\\s)@(?:${MODIFIER_KEYS})\\b`)
+
+/**
+ * Regular expression for a single modifier and its value.
+ */
+const MODIFIER_PATTERN = new RegExp(`@(?<key>${MODIFIER_KEYS})\\b\\s*(?<value>.*?)\\s*(?=\\s@(?:${MODIFIER_KEYS})\\b|$)`, 'g')
+
+/**
+ * Regular expression for valid CSS class names, matching the PHP implementation.
+ */
+export const CLASS_NAME_PATTERN = /^[a-zA-Z][\w-]*$/
+
+/**
+ * Regular expression for block names, e.g. `core/button`, and block
+ * categories, e.g. `text`, matching the PHP implementation.
+ */
+const BLOCK_SCOPE_PATTERN = /^[a-z][a-z0-9-]*(?:\/[a-z][a-z0-9-]*)?$/
+
+/**
+ * Splits the value of a modifier into valid class names.
+ *
+ * @param {string} value - Class names separated by spaces or commas.
+ * @returns {Array<string>} The valid class names.
+ */
+const parseClassList = (value) => value.split(/[\s,]+/).filter((className) => CLASS_NAME_PATTERN.test(className))
+
+/**
+ * Parses @hint and @group annotations from CSS content.
+ *
+ * A group applies to all hints that follow it, until the next group. A
+ * group without a name ends the previous group.
+ *
+ * @param {string} css - The CSS content to parse.
+ * @returns {Object} Object mapping class names to their description and annotations.
+ */
+const parseAnnotatedHints = (css) => {
+  const hints = {}
+  let group = ''
+
+  for (const line of (css || '').split(/\r?\n/)) {
+    const groupMatch = GROUP_PATTERN.exec(line)
+    if (groupMatch) {
+      group = groupMatch.groups.name || ''
+      continue
+    }
+
+    const match = HINT_PATTERN.exec(line)
+    const className = match?.groups.name?.trim()
+
+    // Validate CSS class name format
+    if (!className || !CLASS_NAME_PATTERN.test(className)) {
+      continue
+    }
+
+    // Separate the modifiers from the description
+    let description = match.groups.description?.trim() || ''
+    let modifiers = ''
+    const modifiersStart = description.search(MODIFIERS_START_PATTERN)
+    if (modifiersStart >= 0) {
+      modifiers = description.slice(modifiersStart)
+      description = description.slice(0, modifiersStart).trim()
+    }
+
+    const hint = {
+      description,
+      group,
+      deprecated: false,
+      replacement: '',
+      requires: [],
+      conflicts: [],
+      preview: '',
+      blocks: [],
+    }
+
+    for (const { groups: { key, value } } of modifiers.matchAll(MODIFIER_PATTERN)) {
+      if (key === 'deprecated') {
+        hint.deprecated = true
+        hint.replacement = parseClassList(value)[0] || ''
+      } else if (key === 'requires' || key === 'conflicts') {
+        hint[key] = parseClassList(value)
+      } else if (key === 'blocks') {
+        hint.blocks = value.split(/[\s,]+/).filter((scope) => BLOCK_SCOPE_PATTERN.test(scope))
+      } else {
+        hint[key] = value
+      }
+    }
+
+    hints[className] = hint
+  }
+
+  return hints
+}
+
+/**
+ * Parses @hint annotations from CSS content.
+ *
+ * Extracts class names and descriptions from special comment annotations
+ * using the same regex pattern as the PHP backend for consistency.
+ *
+ * @param {string} css - The CSS content to parse.
+ * @returns {Object} Object mapping class names to descriptions.
+ */
+export const parseHintsFromCSS = (css) => Object.fromEntries(
+  Object.entries(parseAnnotatedHints(css)).map(([className, hint]) => [className, hint.description])
+)
+
+/**
+ * Parses the annotations of hints from CSS content.
+ *
+ * @param {string} css - The CSS content to parse.
+ * @returns {Object} Object mapping class names to their group, deprecation with replacement, required and conflicting classes, preview and block scope.
+ */
+export const parseHintAnnotationsFromCSS = (css) => Object.fromEntries(
+  Object.entries(parseAnnotatedHints(css)).map(([className, { description, ...annotations }]) => [className, annotations])
+)
+
+/**
+ * Parses @variants annotations from CSS content.
+ *
+ * Each annotation names a set of classes of which a block should use at
+ * most one, e.g. `@variants Size | size-s size-m size-l`. Sets with less
+ * than two valid classes are ignored.
+ *
+ * @param {string} css - The CSS content to parse.
+ * @returns {Array<{name: string, classes: Array<string>}>} The variant sets in stylesheet order.
+ */
+export const parseVariantSetsFromCSS = (css) => parseClassSets(css, VARIANTS_PATTERN, 2)
+
+/**
+ * Parses @preset annotations from CSS content.
+ *
+ * Each annotation names a combination of classes that is applied in one
+ * go, e.g. `@preset Card | card shadow rounded`. A later preset with the
+ * same name replaces an earlier one.
+ *
+ * @param {string} css - The CSS content to parse.
+ * @returns {Array<{name: string, classes: Array<string>}>} The presets in stylesheet order.
+ */
+export const parsePresetsFromCSS = (css) => [
+  ...new Map(parseClassSets(css, PRESET_PATTERN, 1).map((preset) => [preset.name, preset])).values(),
+]
+
+/**
+ * Parses annotations naming a set of classes from CSS content.
+ *
+ * @param {string} css - The CSS content to parse.
+ * @param {RegExp} pattern - Regular expression for the annotation.
+ * @param {number} minClasses - The least number of valid classes of a set.
+ * @returns {Array<{name: string, classes: Array<string>}>} The sets in stylesheet order.
+ */
+const parseClassSets = (css, pattern, minClasses) => (css || '').split(/\r?\n/)
+  .map((line) => pattern.exec(line)?.groups)
+  .filter(Boolean)
+  .map(({ name, classes }) => ({ name, classes: [...new Set(parseClassList(classes))] }))
+  .filter(({ name, classes }) => name && classes.length >= minClasses)
+
+/**
+ * Adds, changes or removes a @preset annotation in CSS content.
+ *
+ * A changed preset keeps its place in the stylesheet. A new preset is
+ * added in a comment at the end of the last enabled sheet. Removing a preset
+ * removes its annotation, and its comment if the annotation has a
+ * comment of its own.
+ *
+ * @param {string} css - The CSS content.
+ * @param {string} name - The current name of the preset, or an empty string for a new preset.
+ * @param {{name: string, classes: Array<string>}|null} preset - The new preset, or null to remove the preset.
+ * @returns {string} The CSS content with the preset changed.
+ */
+export const updatePresetInCSS = (css, name, preset) => {
+  const annotation = preset && `@preset ${preset.name} | ${preset.classes.join(' ')}`
+  const lines = (css || '').split('\n')
+  let isFound = false
+
+  const updated = lines.flatMap((line) => {
+    const match = PRESET_PATTERN.exec(line)
+    if (!name || match?.groups.name !== name) {
+      return [line]
+    }
+    isFound = true
+    const [, start, end] = /^(\s*\/?\*+\s)@preset\b.*?(\*\/.*)?$/.exec(line)
+    if (annotation) {
+      return [start + annotation + (end ? ' ' + end : '')]
+    }
+    // Keep the parts of the comment the annotation shares its line with
+    const opensComment = start.includes('/*')
+    if (opensComment && end) {
+      return end.slice(2).trim() ? [end.slice(2).trim()] : []
+    }
+    return opensComment ? ['/*'] : end ? [' ' + end] : []
+  })
+
+  if (!isFound && annotation) {
+    return appendToEnabledSheet(css, `/* ${annotation} */`)
+  }
+
+  return updated.join('\n')
+}
+
+/**
+ * Makes the hints, variant sets and presets of CSS content available to the class selector.
+ *
+ * Annotations in disabled sheets are ignored.
+ *
+ * @param {string} source - The CSS content to parse.
+ * @returns {Object} Object mapping class names to descriptions.
+ */
+export const updateHints = (source) => {
+  const css = getEnabledCSS(source)
+  const hints = parseHintsFromCSS(css)
+  if (window.kntnt_global_styles_data) {
+    window.kntnt_global_styles_data.available_hints = hints
+    window.kntnt_global_styles_data.hint_annotations = parseHintAnnotationsFromCSS(css)
+    window.kntnt_global_styles_data.variant_sets = parseVariantSetsFromCSS(css)
+    window.kntnt_global_styles_data.presets = parsePresetsFromCSS(css)
+  }
+  return hints
+}
+
+/**
+ * Renames the class of @hint annotations in CSS content.
+ *
+ * The description and the rest of the annotation are kept as they are.
+ *
+ * @param {string} css - The CSS content.
+ * @param {string} from - The current class name.
+ * @param {string} to - The new class name.
+ * @returns {string} The CSS content with the annotations renamed.
+ */
+export const renameHint = (css, from, to) => css.replace(
+  new RegExp(`^(\\s*\\/?\\*+\\s@hint\\s+)${from}(?=\\s|\\||\\*\\/|$)`, 'gm'),
+  `$1${to}`
+)
@@ -1,108 +1,466 @@
+import { transformStyles } from '@wordpress/block-editor'
+import { parse, walk, generate } from 'css-tree'
+
 /**
  * Live preview functionality for the Kntnt Global Styles plugin.
  *
- * Provides a global function to inject CSS into the block editor's main document
- * and any nested iframes for real-time style preview. Handles the complex iframe
- * structure of the WordPress block editor where content may be rendered in
- * isolated contexts.
+ * Provides a global function to inject CSS into every same-origin editor canvas
+ * for real-time style preview. The canvases of the block editor are iframes that
+ * are created and reloaded at any time, e.g. when the device preview is switched,
+ * a template is edited or blocks are previewed in the inserter, and may be
+ * nested. Therefore, the documents are observed, and the CSS is injected into
+ * each canvas as soon as it appears.
+ *
+ * The CSS is never applied to the editor's own interface. If the editor
+ * isn't iframed, the content is rendered in the main document, and the CSS
+ * is scoped to `.editor-styles-wrapper` the same way the block editor
+ * scopes editor styles.
+ *
+ * Preview modes emulate media features and force interactive states of the
+ * selected block by rewriting the injected CSS, so they only affect the
+ * global stylesheet.
  */
 
 /**
- * Global function to update CSS styles in the block editor.
+ * Interactive states that can be forced on the selected block.
+ */
+const FORCEABLE_STATES = ['hover', 'focus', 'focus-visible', 'focus-within', 'active']
+
+/**
+ * Prefix of the attributes marking elements with a forced state, e.g.
+ * `data-kntnt-force-hover`.
+ */
+const FORCE_ATTRIBUTE_PREFIX = 'data-kntnt-force-'
+
+/**
+ * Media features that can be emulated, each with a function telling
+ * whether a value of the feature matches the preview mode, or null if
+ * the feature isn't emulated.
+ */
+const EMULATED_FEATURES = {
+  'prefers-color-scheme': (value, mode) => mode.colorScheme ? value === mode.colorScheme : null,
+  'prefers-reduced-motion': (value, mode) => mode.reducedMotion ? value === 'reduce' : null,
+}
+
+/**
+ * Selector of the element wrapping the content of an editor canvas.
+ */
+const WRAPPER_SELECTOR = '.editor-styles-wrapper'
+
+/**
+ * IDs of the style elements injected into the main document and the canvases.
+ */
+const ELEMENT_IDS = {
+  DYNAMIC_STYLES: 'kntnt-global-styles-dynamic-styles', // Main document styles
+  IFRAME_STYLES: 'kntnt-iframe-styles',                  // Iframe styles
+}
+
+/**
+ * The CSS last passed to `kntntUpdateEditorStyles()`, before the preview
+ * mode is applied.
+ */
+let currentCss = ''
+
+/**
+ * The CSS injected into the canvases, with the preview mode applied.
+ */
+let injectedCss = ''
+
+/**
+ * The injected CSS scoped to the content wrapper, or null until it is
+ * needed.
+ */
+let scopedCss = null
+
+/**
+ * The observed documents, with their mutation observers.
  *
- * Injects CSS into both the main editor document and any editor iframes
- * to provide live preview functionality. Handles timing issues with
- * dynamically loaded iframes by attempting injection multiple times.
+ * @type {Map<Document, MutationObserver>}
+ */
+const observers = new Map()
+
+/**
+ * The watched iframes, with their load listeners.
  *
- * @param {string} newCss - The CSS content to inject into the editor.
+ * @type {Map<HTMLIFrameElement, Function>}
  */
-window.kntntUpdateEditorStyles = function (newCss) {
+const frameListeners = new Map()
 
-  // Configuration constants for timing and element identification
-  const TIMINGS = {
-    RETRY_QUICK: 1000,  // First retry after 1 second
-    RETRY_SLOW: 3000,   // Second retry after 3 seconds
-  }
+/**
+ * The observed documents that have changed since the last animation frame.
+ *
+ * @type {Set<Document>}
+ */
+const changedDocuments = new Set()
 
-  // Selectors for finding editor iframes in different WordPress configurations
-  const IFRAME_SELECTORS = [
-    'iframe[name="editor-canvas"]',           // Site editor iframe
-    '.edit-post-visual-editor iframe',        // Post editor iframe
-    '.interface-interface-skeleton__content iframe', // Interface skeleton iframe
-    '.editor-styles-wrapper iframe',          // Editor styles wrapper iframe
-  ]
-
-  // IDs for the style elements we inject
-  const ELEMENT_IDS = {
-    DYNAMIC_STYLES: 'kntnt-global-styles-dynamic-styles', // Main document styles
-    IFRAME_STYLES: 'kntnt-iframe-styles',                  // Iframe styles
-  }
+/**
+ * The ID of the requested animation frame handling the changed documents,
+ * or null if none is requested.
+ */
+let frameRequest = null
 
-  /**
-   * Main function to apply styles to editor documents.
-   *
-   * Updates or creates style elements in the main document and attempts
-   * to inject styles into any discovered editor iframes.
-   *
-   * @param {string} cssToInject - The CSS content to apply.
-   */
-  const updateStyles = (cssToInject) => {
-
-    // Ensure we have a string to work with (handle null/undefined)
-    cssToInject = cssToInject || ''
-
-    // Update or create style element in the main document head
-    let styleElement = document.querySelector('#' + ELEMENT_IDS.DYNAMIC_STYLES)
-    if (!styleElement) {
-      styleElement = document.createElement('style')
-      styleElement.id = ELEMENT_IDS.DYNAMIC_STYLES
-      styleElement.type = 'text/css'
-      document.head.appendChild(styleElement)
+/**
+ * The current preview mode.
+ *
+ * @type {{colorScheme: string, reducedMotion: boolean, forcedStates: Array<string>, clientId: string|null}}
+ */
+let previewMode = { colorScheme: '', reducedMotion: false, forcedStates: [], clientId: null }
+
+/**
+ * Rewrites CSS for the current preview mode.
+ *
+ * Emulated media features in @media conditions are replaced with
+ * conditions that are always or never true, and forced states are added
+ * as alternatives to their pseudo-classes, e.g. `:hover` becomes
+ * `:is(:hover, [data-kntnt-force-hover])`.
+ *
+ * @param {string} css - The CSS to rewrite.
+ * @returns {string} The CSS for the preview mode.
+ */
+const applyPreviewMode = (css) => {
+  let result = css.replace(/@media[^{;]*/g, (prelude) => prelude.replace(
+    /\(\s*([\w-]+)\s*:\s*([\w-]+)\s*\)/g,
+    (feature, name, value) => {
+      const matches = EMULATED_FEATURES[name]?.(value, previewMode) ?? null
+      return matches === null ? feature : matches ? '(width >= 0)' : '(width < 0)'
     }
-    styleElement.textContent = cssToInject
-
-    /**
-     * Injects styles into discovered editor iframes.
-     *
-     * Searches for iframes using multiple selectors and attempts to inject
-     * CSS into each one. Handles cross-origin restrictions gracefully.
-     */
-    const injectIntoEditorIframes = () => {
-      IFRAME_SELECTORS.forEach((selector) => {
-        const iframes = document.querySelectorAll(selector)
-        iframes.forEach((iframe) => {
-          try {
-            // Attempt to access iframe document
-            const iframeDoc = iframe.contentDocument || iframe.contentWindow?.document
-            if (!iframeDoc) return
-
-            // Find or create style element in iframe
-            let styleEl = iframeDoc.querySelector('#' + ELEMENT_IDS.IFRAME_STYLES)
-            if (!styleEl) {
-              styleEl = iframeDoc.createElement('style')
-              styleEl.id = ELEMENT_IDS.IFRAME_STYLES
-              styleEl.type = 'text/css'
-              if (iframeDoc.head) {
-                iframeDoc.head.appendChild(styleEl)
-              }
-            }
-            styleEl.textContent = cssToInject
-          } catch (error) {
-            // Cross-origin errors are expected and can be safely ignored
-            if (!error.message.includes('cross-origin')) {
-              console.warn('Kntnt Global Styles: Iframe injection failed:', error.message)
-            }
+  ))
+
+  const states = previewMode.forcedStates.filter((state) => FORCEABLE_STATES.includes(state))
+  if (states.length) {
+    result = forceStates(result, states)
+  }
+
+  return result
+}
+
+/**
+ * Adds forced states as alternatives to their pseudo-classes in selectors.
+ *
+ * Only the pseudo-classes of rule selectors are rewritten, so media
+ * features such as `(hover: hover)`, comments and strings are left alone.
+ * The CSS is parsed leniently, and parts that can't be parsed are kept
+ * as they are.
+ *
+ * @param {string} css - The CSS to rewrite.
+ * @param {Array<string>} states - The forced states, e.g. `hover`.
+ * @returns {string} The rewritten CSS.
+ */
+const forceStates = (css, states) => {
+  const ast = parse(css, {
+    parseValue: false,
+    parseCustomProperty: false,
+    onParseError: () => {}, // Errors are reported by the validator
+  })
+
+  // Collect the pseudo-classes first, so the replacements aren't walked
+  const pseudoClasses = []
+  walk(ast, {
+    visit: 'Rule',
+    enter (rule) {
+      walk(rule.prelude, {
+        visit: 'PseudoClassSelector',
+        enter (node, item, list) {
+          if (states.includes(node.name)) {
+            pseudoClasses.push({ node, item, list })
           }
-        })
+        },
       })
+    },
+  })
+
+  pseudoClasses.forEach(({ node, item, list }) => {
+    const selector = parse(`:is(:${node.name}, [${FORCE_ATTRIBUTE_PREFIX}${node.name}])`, { context: 'selector' })
+    list.replace(item, list.createItem(selector.children.first))
+  })
+
+  return generate(ast)
+}
+
+/**
+ * Removes the marks of forced states from the elements of a document.
+ *
+ * @param {Document} doc - The document of the editor canvas.
+ */
+const clearForcedStates = (doc) => {
+  FORCEABLE_STATES.forEach((state) => {
+    doc.querySelectorAll(`[${FORCE_ATTRIBUTE_PREFIX}${state}]`).forEach((element) => element.removeAttribute(FORCE_ATTRIBUTE_PREFIX + state))
+  })
+}
+
+/**
+ * Marks the selected block and its descendants with the forced states.
+ *
+ * Marks left from an earlier preview mode are removed first.
+ *
+ * @param {Document} doc - The document of the editor canvas.
+ */
+const markForcedStates = (doc) => {
+  clearForcedStates(doc)
+
+  const block = previewMode.clientId && doc.querySelector(`[data-block="${previewMode.clientId}"]`)
+  if (!block) {
+    return
+  }
+  ;[block, ...block.querySelectorAll('*')].forEach((element) => {
+    previewMode.forcedStates.forEach((state) => element.setAttribute(FORCE_ATTRIBUTE_PREFIX + state, ''))
+  })
+}
+
+/**
+ * Global function to change the preview mode of the live preview.
+ *
+ * The changes are merged into the current mode, and the current CSS is
+ * injected again with the new mode applied.
+ *
+ * @param {Object} changes - Changes to the preview mode.
+ * @param {string} [changes.colorScheme] - `light` or `dark` to emulate `prefers-color-scheme`, or an empty string to follow the system.
+ * @param {boolean} [changes.reducedMotion] - Whether to emulate `prefers-reduced-motion: reduce`.
+ * @param {Array<string>} [changes.forcedStates] - Interactive states to force on the selected block, e.g. `hover`.
+ * @param {string|null} [changes.clientId] - The client ID of the selected block.
+ */
+window.kntntSetPreviewMode = function (changes) {
+  previewMode = { ...previewMode, ...changes }
+  window.kntntUpdateEditorStyles(currentCss)
+}
+
+/**
+ * Checks whether a document contains an editor canvas.
+ *
+ * Documents contain a canvas if content is wrapped in `.editor-styles-wrapper`,
+ * as the editor canvas and block previews are, so that other iframes, e.g.
+ * meta boxes and embeds, are left alone. In the main document, this is only
+ * the case if the editor isn't iframed.
+ *
+ * @param {Document} doc - The document.
+ * @returns {boolean} True if the CSS should be injected into the document.
+ */
+const isEditorCanvas = (doc) => !!doc.body?.classList.contains('editor-styles-wrapper')
+  || !!doc.querySelector(WRAPPER_SELECTOR)
+
+/**
+ * Gets the CSS to inject into a document.
+ *
+ * The main document also holds the editor's interface, so the CSS is
+ * scoped to the content wrapper there, e.g. `button` becomes
+ * `.editor-styles-wrapper button`.
+ *
+ * @param {Document} doc - The document.
+ * @returns {string} The CSS to inject.
+ */
+const getCssFor = (doc) => {
+  if (doc !== document) {
+    return injectedCss
+  }
+  if (scopedCss === null) {
+    scopedCss = injectedCss ? transformStyles([{ css: injectedCss }], WRAPPER_SELECTOR).join('\n') : ''
+  }
+  return scopedCss
+}
+
+/**
+ * Injects the CSS into a document if it is an editor canvas.
+ *
+ * The style element is created if it is missing, e.g. because the canvas
+ * has been reloaded, and only written to if its CSS is outdated, so that
+ * this can be called whenever the document changes. It is removed from
+ * documents that no longer contain a canvas.
+ *
+ * @param {Document} doc - The document.
+ */
+const injectInto = (doc) => {
+  const id = doc === document ? ELEMENT_IDS.DYNAMIC_STYLES : ELEMENT_IDS.IFRAME_STYLES
+  let styleElement = doc.getElementById(id)
+
+  if (!doc.head || !isEditorCanvas(doc)) {
+    styleElement?.remove()
+    return
+  }
+
+  if (!styleElement) {
+    styleElement = doc.createElement('style')
+    styleElement.id = id
+    doc.head.appendChild(styleElement)
+  }
+  const css = getCssFor(doc)
+  if (styleElement.textContent !== css) {
+    styleElement.textContent = css
+  }
+}
+
+/**
+ * Starts watching an iframe, so that its document is observed each time
+ * it is loaded.
+ *
+ * @param {HTMLIFrameElement} iframe - The iframe.
+ */
+const watchFrame = (iframe) => {
+  if (frameListeners.has(iframe)) {
+    return
+  }
+  const handleLoad = () => observeDocument(iframe.contentDocument)
+  iframe.addEventListener('load', handleLoad)
+  frameListeners.set(iframe, handleLoad)
+
+  // The iframe may already be loaded; cross-origin iframes have no document
+  handleLoad()
+}
+
+/**
+ * Checks whether a node added to or removed from a document is or contains
+ * an element matching a selector.
+ *
+ * @param {Node} node - The added or removed node.
+ * @param {string} selector - The selector.
+ * @returns {boolean} True if the node is or contains a matching element.
+ */
+const containsElement = (node, selector) => node.nodeType === 1
+  && (node.matches(selector) || !!node.querySelector(selector))
+
+/**
+ * Checks whether mutations of a document concern the live preview.
+ *
+ * Iframes and content wrappers that are added may be new canvases, as
+ * may a body that gets the wrapper class, and removed content wrappers
+ * and style elements may have to be removed or injected again. While
+ * states are forced, any added elements may be blocks rendered again
+ * without the marks.
+ *
+ * @param {Array<MutationRecord>} records - The mutations.
+ * @returns {boolean} True if the document must be updated.
+ */
+const isPreviewMutation = (records) => records.some(({ type, target, addedNodes, removedNodes }) => {
+  if (type === 'attributes') {
+    return target === target.ownerDocument.body
+  }
+  const isAdded = previewMode.forcedStates.length
+    ? (node) => node.nodeType === 1
+    : (node) => containsElement(node, `iframe, ${WRAPPER_SELECTOR}`)
+  const isRemoved = (node) => containsElement(node, `${WRAPPER_SELECTOR}, #${ELEMENT_IDS.DYNAMIC_STYLES}, #${ELEMENT_IDS.IFRAME_STYLES}`)
+  return [...addedNodes].some(isAdded) || [...removedNodes].some(isRemoved)
+})
+
+/**
+ * Updates the changed documents in the next animation frame.
+ *
+ * Mutations come in many batches while the editor renders, so they are
+ * coalesced into one update of each document per frame.
+ *
+ * @param {Document} doc - The changed document.
+ */
+const scheduleUpdate = (doc) => {
+  changedDocuments.add(doc)
+  if (frameRequest !== null) {
+    return
+  }
+  frameRequest = window.requestAnimationFrame(() => {
+    frameRequest = null
+    changedDocuments.forEach((changed) => {
+      if (changed.defaultView && observers.has(changed)) {
+        changed.querySelectorAll('iframe').forEach(watchFrame)
+        injectInto(changed)
+        if (previewMode.forcedStates.length) {
+          markForcedStates(changed)
+        }
+      }
+    })
+    changedDocuments.clear()
+  })
+}
+
+/**
+ * Starts observing a document, so that the CSS is injected into it when
+ * it becomes an editor canvas or loses the injected CSS, and iframes
+ * added to it are watched.
+ *
+ * Documents of reloaded and removed iframes are no longer observed.
+ *
+ * @param {Document|null} doc - The document, or null for a cross-origin iframe.
+ */
+const observeDocument = (doc) => {
+  if (!doc) {
+    return
+  }
+
+  observers.forEach((observer, observed) => {
+    if (!observed.defaultView) {
+      observer.disconnect()
+      observers.delete(observed)
+    }
+  })
+  frameListeners.forEach((handleLoad, iframe) => {
+    if (!iframe.isConnected) {
+      iframe.removeEventListener('load', handleLoad)
+      frameListeners.delete(iframe)
+    }
+  })
+
+  if (!observers.has(doc)) {
+    const observer = new MutationObserver((records) => {
+      if (isPreviewMutation(records)) {
+        scheduleUpdate(doc)
+      }
+    })
+    observer.observe(doc, { childList: true, subtree: true, attributeFilter: ['class'] })
+    observers.set(doc, observer)
+    doc.querySelectorAll('iframe').forEach(watchFrame)
+  }
+
+  injectInto(doc)
+  markForcedStates(doc)
+}
+
+/**
+ * Global function to stop the live preview.
+ *
+ * Stops observing the documents and removes the injected CSS and forced
+ * states. The next call to `kntntUpdateEditorStyles()` starts the live
+ * preview again.
+ */
+window.kntntRemoveEditorStyles = function () {
+  observers.forEach((observer, doc) => {
+    observer.disconnect()
+    if (doc.defaultView) {
+      doc.getElementById(doc === document ? ELEMENT_IDS.DYNAMIC_STYLES : ELEMENT_IDS.IFRAME_STYLES)?.remove()
+      clearForcedStates(doc)
     }
+  })
+  observers.clear()
+  if (frameRequest !== null) {
+    window.cancelAnimationFrame(frameRequest)
+    frameRequest = null
+  }
+  changedDocuments.clear()
+  frameListeners.forEach((handleLoad, iframe) => iframe.removeEventListener('load', handleLoad))
+  frameListeners.clear()
+}
+
+/**
+ * Global function to update CSS styles in the block editor.
+ *
+ * Injects CSS into every same-origin editor canvas, including canvases
+ * created or reloaded later, until the live preview is stopped. In a
+ * canvas that isn't iframed, the CSS is scoped to the content.
+ *
+ * @param {string} newCss - The CSS content to inject into the editor.
+ * @returns {Function} Function stopping the live preview, the same as `kntntRemoveEditorStyles()`.
+ */
+window.kntntUpdateEditorStyles = function (newCss) {
 
-    // Inject styles immediately and with delays to catch dynamic iframes
-    injectIntoEditorIframes()
-    setTimeout(injectIntoEditorIframes, TIMINGS.RETRY_QUICK)
-    setTimeout(injectIntoEditorIframes, TIMINGS.RETRY_SLOW)
+  // Keep the CSS so that it can be injected again when the preview mode changes
+  currentCss = newCss || ''
+  injectedCss = applyPreviewMode(currentCss)
+  scopedCss = null
+
+  if (!observers.has(document)) {
+    observeDocument(document)
   }
+  observers.forEach((observer, doc) => {
+    if (doc.defaultView) {
+      injectInto(doc)
+      markForcedStates(doc)
+    }
+  })
 
-  // Execute the style update
-  updateStyles(newCss)
-}
\ No newline at end of file
+  return window.kntntRemoveEditorStyles
+}
@@ -0,0 +1,39 @@
+import { diff3Merge } from 'node-diff3'
+import { __ } from '@wordpress/i18n'
+
+/**
+ * Three-way merge of concurrently edited stylesheets.
+ */
+
+/**
+ * Merges two versions of a stylesheet that are based on the same original.
+ *
+ * Changes that don't overlap are combined. Overlapping changes are kept
+ * side by side between Git-style conflict markers, to be resolved by hand.
+ *
+ * @param {string} base - The version both edits are based on.
+ * @param {string} mine - The version edited by the current user.
+ * @param {string} theirs - The version saved by someone else.
+ * @returns {{css: string, conflicts: number}} The merged CSS and the number of conflicts.
+ */
+export const mergeStylesheets = (base, mine, theirs) => {
+  const lines = []
+  let conflicts = 0
+
+  diff3Merge(mine.split('\n'), base.split('\n'), theirs.split('\n')).forEach((chunk) => {
+    if (chunk.ok) {
+      lines.push(...chunk.ok)
+    } else {
+      conflicts++
+      lines.push(
+        '<<<<<<< ' + __('Your changes', 'kntnt-global-styles'),
+        ...chunk.conflict.a,
+        '=======',
+        ...chunk.conflict.b,
+        '>>>>>>> ' + __('Saved by someone else', 'kntnt-global-styles')
+      )
+    }
+  })
+
+  return { css: lines.join('\n'), conflicts }
+}
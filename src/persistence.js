@@ -0,0 +1,377 @@
+import { __ } from '@wordpress/i18n'
+import { store as preferencesStore } from '@wordpress/preferences'
+import { OPEN_MODAL_EVENT } from './editor-integration'
+import { ajaxRequest, refreshNonce, AJAX_STATUS } from './ajax'
+import { getDraft, setDraft, clearDraft, getStoredDraft } from './draft'
+import { updateHints } from './hints'
+import { isPreprocessed, compileSource, getOutputCSS, describeCompileError } from './preprocessor'
+
+/**
+ * Publishing of the global stylesheet.
+ *
+ * The draft is published either directly with the "Publish styles" action
+ * in the Global Style Editor, or, if the user has chosen so, together with
+ * the document whenever it is saved. Also reports failed saves and
+ * recovers drafts left in local storage by an earlier session.
+ */
+
+/**
+ * Id of the editor notice reporting the state of the stylesheet persistence.
+ * Reusing the id replaces an earlier notice instead of stacking them.
+ */
+const PERSISTENCE_NOTICE_ID = 'kntnt-global-styles-persistence'
+
+/**
+ * Scope of the plugin's user preferences in the `core/preferences` store.
+ */
+export const PREFERENCES_SCOPE = 'kntnt-global-styles'
+
+/**
+ * Outcomes of an attempt to publish the draft.
+ */
+export const PUBLISH_RESULT = {
+  PUBLISHED: 'published',
+  CONFLICT: 'conflict',
+  FAILED: 'failed',
+}
+
+/**
+ * Checks whether the document being edited can carry the stylesheet.
+ *
+ * Publishing together with the document requires a post in the post
+ * editor. Templates edited in the Site Editor are saved through another
+ * flow, and can't be marked as changed with post meta.
+ *
+ * @returns {boolean} True if the stylesheet can be published with the document.
+ */
+export const canPublishWithPost = () => {
+  const editor = window.wp?.data?.select('core/editor')
+  const postType = editor?.getCurrentPostType?.()
+  return !!postType && !['wp_template', 'wp_template_part', 'wp_navigation'].includes(postType)
+}
+
+/**
+ * Checks whether the user wants the stylesheet published with the document.
+ *
+ * @returns {boolean} True if the draft is published whenever the document is saved.
+ */
+export const isPublishingWithPost = () => canPublishWithPost() && !!window.wp.data.select(preferencesStore).get(PREFERENCES_SCOPE, 'publishWithPost')
+
+/**
+ * Initializes publishing of the draft when documents are saved.
+ *
+ * Monitors the WordPress editor save state and sends any draft CSS
+ * changes to the server when the user saves a post or page, unless
+ * the user has turned this off in the Global Style Editor. Also restores
+ * a draft left in local storage by an earlier session, e.g. after a
+ * failed save and a reload.
+ */
+export const initializeDraftPersistence = () => {
+  // Publish with the document by default, as before the setting existed
+  window.wp.data.dispatch(preferencesStore).setDefaults(PREFERENCES_SCOPE, { publishWithPost: true })
+
+  restoreStoredDraft()
+
+  // Track save state to detect when save operations complete
+  let wasRecentlySaving = false
+
+  // Subscribe to WordPress data store changes
+  window.wp.data.subscribe(() => {
+    const isSaving = window.wp.data.select('core/editor')?.isSavingPost()
+    const isAutoSaving = window.wp.data.select('core/editor')?.isAutosavingPost()
+
+    // Detect when a save operation completes (but not autosave)
+    if (wasRecentlySaving && !isSaving && !isAutoSaving && isPublishingWithPost()) {
+      // Check if we have draft CSS that differs from saved CSS
+      if (getDraft() !== undefined && getDraft() !== window.kntnt_global_styles_data?.css_content) {
+        persistDraftCSS({ postId: window.wp.data.select('core/editor').getCurrentPostId() })
+      }
+    }
+
+    wasRecentlySaving = isSaving
+  })
+}
+
+/**
+ * Previews CSS in the editor without applying it as the draft.
+ *
+ * The enabled sheets are previewed, with the tokens expanded, and compiled
+ * first in preprocessor mode. If they can't be compiled, the preview is
+ * silently left as it is, since the compile errors are listed in the
+ * Global Style Editor.
+ *
+ * @param {string} source - The CSS content.
+ * @returns {Promise<boolean>} True if the CSS was previewed.
+ */
+export const previewCSS = async (source) => {
+  if (!window.kntntUpdateEditorStyles) {
+    return false
+  }
+  const { css, error } = await getOutputCSS(source)
+  if (error) {
+    return false
+  }
+  window.kntntUpdateEditorStyles(css)
+  return true
+}
+
+/**
+ * Applies CSS as the draft.
+ *
+ * Previews the enabled sheets of the CSS in the editor, and makes their
+ * hints, variant sets and presets available to the class selector at
+ * once. The draft is kept as it is written, with tokens such as
+ * `token(color.primary)`, which are only expanded in the preview. In
+ * preprocessor mode, the hints are parsed from the source.
+ *
+ * @param {string} source - The draft CSS, which may contain tokens.
+ * @returns {Object} The hints parsed from the CSS.
+ */
+export const applyDraftCSS = (source) => {
+  setDraft(source)
+
+  // Update global hints data for immediate class selector updates
+  const hints = updateHints(source)
+
+  // Apply live preview styles to editor
+  previewCSS(source).catch((error) => console.error('Kntnt Global Styles: Failed to preview CSS:', error))
+
+  // Notify other components of hints update
+  document.dispatchEvent(new CustomEvent('kntnt-global-styles-refresh'))
+
+  return hints
+}
+
+/**
+ * Gets the save conflict of a draft that an earlier session left in local
+ * storage, if the stylesheet has been saved by someone else since.
+ *
+ * Such a draft isn't adopted as the draft, since it would then be saved
+ * on top of the other version. It stays in local storage, based on the
+ * version it was made from, until the conflict is resolved.
+ *
+ * @returns {Object|null} The conflict, with `base`, `mine`, `theirs` and `version`, or null if there is none.
+ */
+export const getStoredDraftConflict = () => {
+  const stored = getStoredDraft()
+  if (getDraft() !== undefined || !stored || stored.css === window.kntnt_global_styles_data?.css_content || stored.baseVersion === window.kntnt_global_styles_data?.css_version) {
+    return null
+  }
+  return {
+    base: stored.baseCss,
+    mine: stored.css,
+    theirs: window.kntnt_global_styles_data?.css_content || '',
+    version: window.kntnt_global_styles_data?.css_version,
+  }
+}
+
+/**
+ * Restores a draft that an earlier session left in local storage.
+ *
+ * If the draft is based on the currently saved stylesheet, it is restored
+ * and previewed. If the stylesheet has been saved since, the user is
+ * offered to merge the draft with the saved version in the editor modal.
+ */
+const restoreStoredDraft = () => {
+  const stored = getStoredDraft()
+  if (!stored || stored.css === window.kntnt_global_styles_data?.css_content) {
+    return
+  }
+
+  const conflict = getStoredDraftConflict()
+  if (conflict) {
+    window.wp.data.dispatch('core/notices').createNotice(
+      'warning',
+      __('Unsaved changes to the global stylesheet from an earlier session have been found, but the stylesheet has been saved by someone else since.', 'kntnt-global-styles'),
+      {
+        id: PERSISTENCE_NOTICE_ID,
+        isDismissible: true,
+        actions: [
+          {
+            label: __('Merge changes', 'kntnt-global-styles'),
+            onClick: () => document.dispatchEvent(new CustomEvent(OPEN_MODAL_EVENT, { detail: { conflict } })),
+          },
+        ],
+      }
+    )
+    return
+  }
+
+  setDraft(stored.css)
+
+  // Preview the restored draft and make its hints available
+  previewCSS(stored.css).catch((error) => console.error('Kntnt Global Styles: Failed to preview CSS:', error))
+  updateHints(stored.css)
+  document.dispatchEvent(new CustomEvent('kntnt-global-styles-refresh'))
+
+  window.wp.data.dispatch('core/notices').createNotice(
+    'info',
+    isPublishingWithPost()
+      ? __('Unsaved changes to the global stylesheet from an earlier session have been restored. Save the document to make them permanent.', 'kntnt-global-styles')
+      : __('Unsaved changes to the global stylesheet from an earlier session have been restored. Publish them in the Global Style Editor to make them permanent.', 'kntnt-global-styles'),
+    {
+      id: PERSISTENCE_NOTICE_ID,
+      isDismissible: true,
+      actions: [
+        {
+          label: __('Open Global Style Editor', 'kntnt-global-styles'),
+          onClick: () => document.dispatchEvent(new CustomEvent(OPEN_MODAL_EVENT)),
+        },
+      ],
+    }
+  )
+}
+
+/**
+ * Describes a failed persistence of the draft CSS.
+ *
+ * @param {string|null} code - The AjaxStatus code, or null for network and HTTP errors.
+ * @returns {string} The message to show to the user.
+ */
+const getFailureMessage = (code) => {
+  const messages = {
+    [AJAX_STATUS.INVALID_NONCE]: __('The global stylesheet could not be saved because your session has expired. Log in again in another tab and retry.', 'kntnt-global-styles'),
+    [AJAX_STATUS.INSUFFICIENT_PERMISSIONS]: __('The global stylesheet could not be saved because you don\'t have permission to edit it.', 'kntnt-global-styles'),
+    [AJAX_STATUS.SAVE_FAILED]: __('The global stylesheet could not be saved on the server.', 'kntnt-global-styles'),
+  }
+  const message = messages[code] || __('The global stylesheet could not be saved because the server could not be reached.', 'kntnt-global-styles')
+  return message + ' ' + __('Your changes are kept as a draft in this browser.', 'kntnt-global-styles')
+}
+
+/**
+ * Reports a failed persistence of the draft CSS to the user.
+ *
+ * Shows an editor notice with a Retry action for failures that may be
+ * temporary. The draft is kept, both in memory and in local storage, so
+ * no changes are lost.
+ *
+ * @param {string|null} code - The AjaxStatus code, or null for network and HTTP errors.
+ * @param {number} postId - ID of the post to retry the save with.
+ * @param {string} [message] - The message to show, if not the one for the code.
+ */
+const reportPersistenceFailure = (code, postId, message = getFailureMessage(code)) => {
+  // Retrying is pointless without permission
+  const actions = code === AJAX_STATUS.INSUFFICIENT_PERMISSIONS ? [] : [
+    {
+      label: __('Retry', 'kntnt-global-styles'),
+      onClick: () => persistDraftCSS({ postId }),
+    },
+  ]
+
+  window.wp.data.dispatch('core/notices').createNotice(
+    'error',
+    message,
+    { id: PERSISTENCE_NOTICE_ID, isDismissible: true, actions }
+  )
+}
+
+/**
+ * Sends draft CSS content to the backend for permanent storage.
+ *
+ * Makes an AJAX request to save the draft CSS to the database and
+ * generate the static CSS file for frontend use. The server keeps the
+ * persisted version as a revision. Updates global data structures with
+ * the newly persisted content. If someone else has saved the stylesheet
+ * since it was loaded, the editor modal is opened to resolve the conflict.
+ * An expired nonce is refreshed and the request retried once. In
+ * preprocessor mode, the compiled CSS is sent along with the source, and
+ * nothing is sent if the source can't be compiled.
+ *
+ * Failures are reported with an editor notice, unless the caller reports
+ * them itself, as the Global Style Editor does.
+ *
+ * @param {Object} [options] - Options.
+ * @param {number} [options.postId] - ID of the post whose save publishes the stylesheet, or 0.
+ * @param {boolean} [options.notify] - Whether to report failures with an editor notice.
+ * @param {boolean} [isNonceRefreshed] - Whether the nonce has already been refreshed for this save.
+ * @returns {Promise<{result: string, code: string|null, message: string}>} One of PUBLISH_RESULT, with the AjaxStatus code and a message on failure.
+ */
+export const persistDraftCSS = async ({ postId = 0, notify = true } = {}, isNonceRefreshed = false) => {
+  const draft = getDraft()
+  const css = draft ?? window.kntnt_global_styles_data?.css_content
+
+  try {
+    console.log('Kntnt Global Styles: Persisting draft CSS to backend...')
+
+    const params = {
+      css_content: css,
+      persist: 'true', // Flag for permanent storage
+      post_id: postId || 0,
+      base_version: window.kntnt_global_styles_data?.css_version || '',
+    }
+
+    // Send the output of the source along with it, since only the browser can compile it
+    if (isPreprocessed(css)) {
+      const { css: compiledCss, error } = await compileSource(css)
+      if (error) {
+        const message = describeCompileError(error) + ' ' + __('Your changes are kept as a draft in this browser.', 'kntnt-global-styles')
+        console.error('Kntnt Global Styles: Failed to compile draft CSS:', error.message)
+        if (notify) {
+          reportPersistenceFailure(null, postId, message)
+        }
+        return { result: PUBLISH_RESULT.FAILED, code: null, message }
+      }
+      params.compiled_css = compiledCss
+    }
+
+    // Send the save request to WordPress, with the post for the revision history
+    const result = await ajaxRequest('kntnt_global_styles_save_css', params)
+
+    if (result.success) {
+      // Update global data with the persisted content
+      if (window.kntnt_global_styles_data) {
+        window.kntnt_global_styles_data.css_content = css
+        window.kntnt_global_styles_data.css_version = result.data.css_version
+        window.kntnt_global_styles_data.available_hints = result.data.available_hints || {}
+        window.kntnt_global_styles_data.hint_annotations = result.data.hint_annotations || {}
+        window.kntnt_global_styles_data.variant_sets = result.data.variant_sets || []
+        window.kntnt_global_styles_data.presets = result.data.presets || []
+      }
+
+      // Clear draft since it's now permanently stored, unless edited meanwhile
+      if (getDraft() === draft) {
+        clearDraft()
+      }
+      window.wp.data.dispatch('core/notices').removeNotice(PERSISTENCE_NOTICE_ID)
+
+      console.log('Kntnt Global Styles: Draft CSS successfully persisted')
+      return { result: PUBLISH_RESULT.PUBLISHED, code: null, message: '' }
+    }
+
+    if (result.data?.code === AJAX_STATUS.CONFLICT) {
+      // Someone else saved in the meantime; let the user merge the versions
+      console.warn('Kntnt Global Styles: Draft CSS conflicts with a newer saved version')
+      window.wp.data.dispatch('core/notices').removeNotice(PERSISTENCE_NOTICE_ID)
+      document.dispatchEvent(new CustomEvent(OPEN_MODAL_EVENT, {
+        detail: {
+          conflict: {
+            base: window.kntnt_global_styles_data?.css_content || '',
+            mine: css,
+            theirs: result.data.css_content || '',
+            version: result.data.css_version,
+          },
+        },
+      }))
+      return { result: PUBLISH_RESULT.CONFLICT, code: AJAX_STATUS.CONFLICT, message: '' }
+    }
+
+    if (result.data?.code === AJAX_STATUS.INVALID_NONCE && !isNonceRefreshed && await refreshNonce()) {
+      // The nonce has expired while the editor was open; retry with a fresh one
+      console.log('Kntnt Global Styles: Nonce refreshed, retrying')
+      return persistDraftCSS({ postId, notify }, true)
+    }
+
+    const code = result.data?.code || AJAX_STATUS.SAVE_FAILED
+    console.error('Kntnt Global Styles: Failed to persist draft CSS:', result.data?.message)
+    if (notify) {
+      reportPersistenceFailure(code, postId)
+    }
+    return { result: PUBLISH_RESULT.FAILED, code, message: getFailureMessage(code) }
+  } catch (error) {
+    console.error('Kntnt Global Styles: Error persisting draft CSS:', error)
+    if (notify) {
+      reportPersistenceFailure(null, postId)
+    }
+    return { result: PUBLISH_RESULT.FAILED, code: null, message: getFailureMessage(null) }
+  }
+}
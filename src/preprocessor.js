@@ -0,0 +1,224 @@
+import { __, sprintf } from '@wordpress/i18n'
+import { parseSheets, serializeSheets, getEnabledCSS } from './sheets'
+import { expandTokens } from './design-tokens'
+
+/**
+ * Preprocessor mode of the global stylesheet.
+ *
+ * In preprocessor mode, the stylesheet is written in SCSS, with nesting,
+ * `$variables`, `@mixin`/`@include` and partials. The source is stored as
+ * it is, so it can be edited, and compiled to CSS in the browser for the
+ * preview and when it is published, together with the source. The mode
+ * is turned on by a `/* @preprocessor scss *\/` comment in the source.
+ *
+ * The enabled sheets are compiled in cascade order, and share variables
+ * and mixins as if they were one file. Sheets whose names begin with an
+ * underscore are partials, which are only output where they are imported
+ * with `@import` or `@use`, e.g. `@use 'mixins'` for the sheet `_mixins`.
+ * Mirrors `Preprocessor::is_enabled()` in PHP.
+ */
+
+/**
+ * Regular expression for the comment turning on preprocessor mode.
+ */
+const PREPROCESSOR_PATTERN = /\/\*\s*@preprocessor\s+scss\s*\*\//
+
+/**
+ * The comment turning on preprocessor mode.
+ */
+export const PREPROCESSOR_ANNOTATION = '/* @preprocessor scss */'
+
+/**
+ * Scheme of the URLs by which the compiler loads sheets.
+ */
+const SHEET_URL_SCHEME = 'kntnt-sheet:'
+
+/**
+ * The Sass compiler, once it has been loaded.
+ */
+let compiler = null
+
+/**
+ * Checks whether CSS content is in preprocessor mode.
+ *
+ * @param {string} source - The CSS content.
+ * @returns {boolean} True if the content is SCSS to be compiled.
+ */
+export const isPreprocessed = (source) => PREPROCESSOR_PATTERN.test(source || '')
+
+/**
+ * Turns preprocessor mode on or off for CSS content.
+ *
+ * The comment turning on the mode is added on a line of its own at the
+ * beginning of the first sheet.
+ *
+ * @param {string} source - The CSS content.
+ * @param {boolean} isEnabled - Whether to turn preprocessor mode on.
+ * @returns {string} The CSS content in the chosen mode.
+ */
+export const setPreprocessed = (source, isEnabled) => {
+  if (!isEnabled) {
+    return (source || '').replace(new RegExp(PREPROCESSOR_PATTERN.source + '[ \\t]*\\n?', 'g'), '')
+  }
+  if (isPreprocessed(source)) {
+    return source
+  }
+  const [first, ...rest] = parseSheets(source)
+  return serializeSheets([{ ...first, css: PREPROCESSOR_ANNOTATION + '\n' + first.css }, ...rest])
+}
+
+/**
+ * Loads the Sass compiler, which is only downloaded when it is needed.
+ *
+ * @returns {Promise<Object>} The Sass module.
+ */
+const loadCompiler = async () => {
+  if (!compiler) {
+    compiler = await import(/* webpackChunkName: "sass" */ 'sass')
+  }
+  return compiler
+}
+
+/**
+ * Finds the sheet that an import refers to.
+ *
+ * The sheet may be referred to with or without its leading underscore
+ * and a `.scss` extension, as files are in Sass.
+ *
+ * @param {Array<Object>} sheets - The enabled sheets.
+ * @param {string} url - The URL of the import, as written or resolved against the importing sheet.
+ * @returns {Object|undefined} The sheet, or undefined if there is none.
+ */
+const findSheet = (sheets, url) => {
+  const name = decodeURIComponent(url.startsWith(SHEET_URL_SCHEME) ? url.slice(SHEET_URL_SCHEME.length) : url)
+    .replace(/^\.\//, '')
+    .replace(/\.scss$/, '')
+  return sheets.find((sheet) => sheet.name === name) || sheets.find((sheet) => sheet.name === '_' + name.replace(/^_/, ''))
+}
+
+/**
+ * Compiles CSS content in preprocessor mode.
+ *
+ * Tokens are expanded before the content is compiled. A compile error is
+ * returned with its location in the sheet it occurred in. If the compiler
+ * can't be loaded, e.g. because the network is down, that is returned as
+ * an error without a sheet.
+ *
+ * @param {string} source - The CSS content in SCSS.
+ * @returns {Promise<{css: string|null, error: Object|null}>} The compiled CSS, or the error with its `message`, `sheet`, `line`, `column`, `offset` and `length`.
+ */
+export const compileSource = async (source) => {
+  let sass = null
+  const sheets = parseSheets(expandTokens(source)).filter(({ isEnabled }) => isEnabled)
+
+  const importer = {
+    canonicalize: (url) => {
+      const sheet = findSheet(sheets, url)
+      return sheet ? new URL(SHEET_URL_SCHEME + encodeURIComponent(sheet.name)) : null
+    },
+    load: (canonicalUrl) => ({
+      contents: findSheet(sheets, canonicalUrl.href).css,
+      syntax: 'scss',
+    }),
+  }
+
+  // Import the sheets that aren't partials in cascade order, sharing their variables and mixins
+  const entry = sheets
+    .filter(({ name }) => !name.startsWith('_'))
+    .map(({ name }) => `@import "${SHEET_URL_SCHEME}${encodeURIComponent(name)}";`)
+    .join('\n')
+
+  try {
+    sass = await loadCompiler()
+    const { css } = sass.compileString(entry, {
+      importers: [importer],
+      syntax: 'scss',
+      style: 'expanded',
+      logger: sass.Logger.silent,
+    })
+    return { css, error: null }
+  } catch (error) {
+    const span = error.span
+    return {
+      css: null,
+      error: {
+        message: sass ? error.sassMessage || error.message : __('The SCSS compiler could not be loaded.', 'kntnt-global-styles'),
+        sheet: span?.url ? findSheet(sheets, span.url.href)?.name ?? null : null,
+        line: (span?.start.line ?? 0) + 1,
+        column: (span?.start.column ?? 0) + 1,
+        offset: span?.start.offset ?? 0,
+        length: span ? span.end.offset - span.start.offset : 0,
+      },
+    }
+  }
+}
+
+/**
+ * Gets the CSS that is output for CSS content.
+ *
+ * That is the enabled sheets with the tokens expanded, compiled if the
+ * content is in preprocessor mode.
+ *
+ * @param {string} source - The CSS content.
+ * @returns {Promise<{css: string|null, error: Object|null}>} The CSS, or the compile error.
+ */
+export const getOutputCSS = async (source) => isPreprocessed(source)
+  ? compileSource(source)
+  : { css: getEnabledCSS(expandTokens(source)), error: null }
+
+/**
+ * Describes a compile error.
+ *
+ * @param {Object} error - The compile error.
+ * @returns {string} The message, with the sheet and line of the error if it has a sheet.
+ */
+export const describeCompileError = (error) => error.sheet === null
+  ? sprintf(
+    /* translators: %s: error message */
+    __('The SCSS could not be compiled. %s', 'kntnt-global-styles'),
+    error.message
+  )
+  : sprintf(
+    /* translators: 1: sheet name, 2: line number, 3: error message */
+    __('The SCSS could not be compiled. Sheet “%1$s”, line %2$d: %3$s', 'kntnt-global-styles'),
+    error.sheet,
+    error.line,
+    error.message
+  )
+
+/**
+ * Validates CSS content in preprocessor mode by compiling it.
+ *
+ * The problem of a compile error in the given sheet is located in the
+ * sheet. An error in another sheet is reported at the beginning of the
+ * sheet, with the name of the other sheet in the message, and so is an
+ * error without a sheet, e.g. if the compiler can't be loaded.
+ *
+ * @param {string} source - The CSS content in SCSS.
+ * @param {string|null} [sheetName] - The name of the sheet in the code editor.
+ * @returns {Promise<Array<Object>>} The problems, in the format of lintCSS().
+ */
+export const getCompileProblems = async (source, sheetName = null) => {
+  const { error } = await compileSource(source)
+  if (!error) {
+    return []
+  }
+  if (error.sheet === sheetName || error.sheet === null) {
+    const { message, line, column, offset, length } = error
+    return [{ severity: 'error', message, from: offset, to: offset + length, line, column }]
+  }
+  return [{
+    severity: 'error',
+    message: sprintf(
+      /* translators: 1: sheet name, 2: line number, 3: error message */
+      __('In sheet “%1$s”, line %2$d: %3$s', 'kntnt-global-styles'),
+      error.sheet,
+      error.line,
+      error.message
+    ),
+    from: 0,
+    to: 0,
+    line: 1,
+    column: 1,
+  }]
+}
@@ -0,0 +1,181 @@
+import {
+  __experimentalToggleGroupControl as ToggleGroupControl,
+  __experimentalToggleGroupControlOption as ToggleGroupControlOption,
+  Button,
+  ToggleControl,
+} from '@wordpress/components'
+import { useState } from '@wordpress/element'
+import { useSelect, useDispatch } from '@wordpress/data'
+import { __ } from '@wordpress/i18n'
+
+/**
+ * Preview modes of the live preview.
+ *
+ * The canvas can be switched between device widths with the editor's own
+ * device preview. Color scheme and reduced motion preferences can be
+ * emulated, and interactive states forced on the selected block, by the
+ * live preview, which rewrites the global stylesheet it injects into the
+ * canvas. The modes are kept when the Global Style Editor is closed, so
+ * that the canvas can be inspected, until they are turned off.
+ */
+
+/**
+ * Device types of the editor's device preview.
+ */
+const DEVICE_TYPES = [
+  { value: 'Desktop', label: __('Desktop', 'kntnt-global-styles') },
+  { value: 'Tablet', label: __('Tablet', 'kntnt-global-styles') },
+  { value: 'Mobile', label: __('Mobile', 'kntnt-global-styles') },
+]
+
+/**
+ * Emulated values of `prefers-color-scheme`, with an empty value for the
+ * system's own.
+ */
+const COLOR_SCHEMES = [
+  { value: '', label: __('System', 'kntnt-global-styles') },
+  { value: 'light', label: __('Light', 'kntnt-global-styles') },
+  { value: 'dark', label: __('Dark', 'kntnt-global-styles') },
+]
+
+/**
+ * Interactive states that can be forced on the selected block, matching
+ * `src/live-preview.js`.
+ */
+const FORCEABLE_STATES = ['hover', 'focus', 'focus-visible', 'focus-within', 'active']
+
+/**
+ * The current preview mode, kept while the Global Style Editor is closed.
+ */
+let previewMode = { colorScheme: '', reducedMotion: false, forcedStates: [] }
+
+/**
+ * Unsubscribes from block selection changes, or null if not subscribed.
+ */
+let unsubscribe = null
+
+/**
+ * Gets the client ID of the selected block.
+ *
+ * @returns {string|null} The client ID, or null if no block is selected.
+ */
+const getSelectedClientId = () => window.wp.data.select('core/block-editor').getSelectedBlockClientId()
+
+/**
+ * Changes the preview mode and passes it to the live preview.
+ *
+ * While states are forced, the live preview is told which block is
+ * selected whenever the selection changes.
+ *
+ * @param {Object} changes - Changes to the preview mode.
+ */
+const setPreviewMode = (changes) => {
+  previewMode = { ...previewMode, ...changes }
+
+  if (previewMode.forcedStates.length && !unsubscribe) {
+    let clientId = getSelectedClientId()
+    unsubscribe = window.wp.data.subscribe(() => {
+      const selected = getSelectedClientId()
+      if (selected !== clientId) {
+        clientId = selected
+        window.kntntSetPreviewMode?.({ clientId })
+      }
+    })
+  } else if (!previewMode.forcedStates.length && unsubscribe) {
+    unsubscribe()
+    unsubscribe = null
+  }
+
+  window.kntntSetPreviewMode?.({ ...previewMode, clientId: getSelectedClientId() })
+}
+
+/**
+ * Toolbar in the Global Style Editor for previewing the stylesheet in
+ * other conditions.
+ *
+ * Switches the canvas between device widths, emulates the preferred
+ * color scheme and reduced motion, and forces interactive states, e.g.
+ * `:hover`, on the selected block and its descendants.
+ *
+ * @returns {JSX.Element} The toolbar.
+ */
+export const PreviewToolbar = () => {
+  const [mode, setMode] = useState(previewMode)
+
+  const { deviceType, hasSelectedBlock } = useSelect((select) => ({
+    deviceType: select('core/editor')?.getDeviceType?.(),
+    hasSelectedBlock: !!select('core/block-editor').getSelectedBlockClientId(),
+  }), [])
+  const { setDeviceType } = useDispatch('core/editor') || {}
+
+  /**
+   * Changes the preview mode.
+   *
+   * @param {Object} changes - Changes to the preview mode.
+   */
+  const handleChange = (changes) => {
+    setPreviewMode(changes)
+    setMode(previewMode)
+  }
+
+  /**
+   * Forces a state on the selected block, or stops forcing it.
+   *
+   * @param {string} state - The state, e.g. `hover`.
+   */
+  const toggleState = (state) => handleChange({
+    forcedStates: mode.forcedStates.includes(state)
+      ? mode.forcedStates.filter((forced) => forced !== state)
+      : [...mode.forcedStates, state],
+  })
+
+  return (
+    <div className="kntnt-global-styles-preview-toolbar">
+      {deviceType && setDeviceType && (
+        <ToggleGroupControl
+          label={__('Device', 'kntnt-global-styles')}
+          value={deviceType}
+          onChange={setDeviceType}
+          isBlock
+          __next40pxDefaultSize
+          __nextHasNoMarginBottom
+        >
+          {DEVICE_TYPES.map(({ value, label }) => (
+            <ToggleGroupControlOption key={value} value={value} label={label}/>
+          ))}
+        </ToggleGroupControl>
+      )}
+      <ToggleGroupControl
+        label={__('Color scheme', 'kntnt-global-styles')}
+        value={mode.colorScheme}
+        onChange={(colorScheme) => handleChange({ colorScheme })}
+        isBlock
+        __next40pxDefaultSize
+        __nextHasNoMarginBottom
+      >
+        {COLOR_SCHEMES.map(({ value, label }) => (
+          <ToggleGroupControlOption key={value || 'system'} value={value} label={label}/>
+        ))}
+      </ToggleGroupControl>
+      <ToggleControl
+        label={__('Reduced motion', 'kntnt-global-styles')}
+        checked={mode.reducedMotion}
+        onChange={(reducedMotion) => handleChange({ reducedMotion })}
+        __nextHasNoMarginBottom
+      />
+      <div className="kntnt-global-styles-preview-toolbar__states" role="group" aria-label={__('Force state on the selected block', 'kntnt-global-styles')}>
+        {FORCEABLE_STATES.map((state) => (
+          <Button
+            key={state}
+            size="compact"
+            isPressed={mode.forcedStates.includes(state)}
+            disabled={!hasSelectedBlock && !mode.forcedStates.includes(state)}
+            onClick={() => toggleState(state)}
+          >
+            {':' + state}
+          </Button>
+        ))}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,58 @@
+import { Button } from '@wordpress/components'
+import { __, _n, sprintf } from '@wordpress/i18n'
+
+/**
+ * List of CSS problems found by the validator.
+ *
+ * Shows every error and warning with its line and column. Clicking a
+ * problem moves the cursor in the code editor to the offending code.
+ *
+ * @param {Object} props - Component props.
+ * @param {Array<Object>} props.problems - Problems as returned by lintCSS().
+ * @param {Function} props.onSelect - Callback receiving the selected problem.
+ * @returns {JSX.Element|null} The problems list or null if there are no problems.
+ */
+export const ProblemsList = ({ problems, onSelect }) => {
+  if (!problems.length) {
+    return null
+  }
+
+  const errorCount = problems.filter((problem) => problem.severity === 'error').length
+  const warningCount = problems.length - errorCount
+
+  return (
+    <div className="kntnt-global-styles-problems">
+      <p className="kntnt-global-styles-problems__summary">
+        {sprintf(
+          /* translators: 1: number of errors, 2: number of warnings */
+          __('%1$s, %2$s', 'kntnt-global-styles'),
+          sprintf(
+            /* translators: %d: number of errors */
+            _n('%d error', '%d errors', errorCount, 'kntnt-global-styles'),
+            errorCount
+          ),
+          sprintf(
+            /* translators: %d: number of warnings */
+            _n('%d warning', '%d warnings', warningCount, 'kntnt-global-styles'),
+            warningCount
+          )
+        )}
+      </p>
+      <ul className="kntnt-global-styles-problems__list">
+        {problems.map((problem, index) => (
+          <li key={index} className={`kntnt-global-styles-problems__item is-${problem.severity}`}>
+            <Button variant="link" onClick={() => onSelect(problem)}>
+              {sprintf(
+                /* translators: 1: line number, 2: column number */
+                __('Line %1$d, column %2$d', 'kntnt-global-styles'),
+                problem.line,
+                problem.column
+              )}
+            </Button>
+            <span className="kntnt-global-styles-problems__message">{problem.message}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
@@ -0,0 +1,138 @@
+import { Button, Notice, Spinner } from '@wordpress/components'
+import { useState, useEffect } from '@wordpress/element'
+import { dateI18n, getSettings } from '@wordpress/date'
+import { __, sprintf } from '@wordpress/i18n'
+import { ajaxRequest } from './ajax'
+import { DiffView } from './diff-view'
+
+/**
+ * History view of the Global Style Editor.
+ *
+ * Lists the persisted revisions of the stylesheet with author, timestamp
+ * and the post whose save created them. Selecting a revision shows a
+ * side-by-side diff against the current draft, and the revision can be
+ * restored into the draft for preview.
+ *
+ * @param {Object} props - Component props.
+ * @param {string} props.currentCss - The CSS currently in the editor.
+ * @param {Function} props.onRestore - Callback receiving the CSS of the revision to restore.
+ * @returns {JSX.Element} The history view.
+ */
+export const RevisionHistory = ({ currentCss, onRestore }) => {
+  const [revisions, setRevisions] = useState(null)
+  const [selectedId, setSelectedId] = useState(null)
+  const [revisionCss, setRevisionCss] = useState({})
+  const [error, setError] = useState(null)
+
+  // Load the list of revisions when the view is shown
+  useEffect(() => {
+    ajaxRequest('kntnt_global_styles_get_revisions')
+      .then((result) => {
+        if (!result.success) {
+          throw new Error(result.data?.message)
+        }
+        setRevisions(result.data.revisions)
+        if (result.data.revisions.length) {
+          setSelectedId(result.data.revisions[0].id)
+        }
+      })
+      .catch((loadError) => {
+        console.error('Kntnt Global Styles: Failed to load revisions:', loadError)
+        setError(loadError.message || __('Could not load the revisions.', 'kntnt-global-styles'))
+      })
+  }, [])
+
+  // Load the CSS of the selected revision unless already loaded
+  useEffect(() => {
+    if (selectedId === null || revisionCss[selectedId] !== undefined) {
+      return
+    }
+    ajaxRequest('kntnt_global_styles_get_revision', { revision_id: selectedId })
+      .then((result) => {
+        if (!result.success) {
+          throw new Error(result.data?.message)
+        }
+        setRevisionCss((loaded) => ({ ...loaded, [selectedId]: result.data.css_content }))
+      })
+      .catch((loadError) => {
+        console.error('Kntnt Global Styles: Failed to load revision:', loadError)
+        setError(loadError.message || __('Could not load the revision.', 'kntnt-global-styles'))
+      })
+  }, [selectedId])
+
+  /**
+   * Formats the label of a revision in the list.
+   *
+   * @param {Object} revision - Revision metadata from the server.
+   * @returns {string} Date and time of the revision, unless unknown.
+   */
+  const formatDate = (revision) => revision.timestamp
+    ? dateI18n(getSettings().formats.datetime, revision.timestamp * 1000)
+    : __('Before the revision history', 'kntnt-global-styles')
+
+  if (error) {
+    return (
+      <Notice status="error" isDismissible={false}>
+        {error}
+      </Notice>
+    )
+  }
+
+  if (revisions === null) {
+    return <Spinner/>
+  }
+
+  if (!revisions.length) {
+    return (
+      <p className="kntnt-global-styles-history__empty">
+        {__('No revisions yet. A revision is created each time the stylesheet is saved.', 'kntnt-global-styles')}
+      </p>
+    )
+  }
+
+  const selectedCss = revisionCss[selectedId]
+
+  return (
+    <div className="kntnt-global-styles-history">
+      <ul className="kntnt-global-styles-history__list">
+        {revisions.map((revision) => (
+          <li key={revision.id}>
+            <Button
+              className="kntnt-global-styles-history__revision"
+              isPressed={revision.id === selectedId}
+              onClick={() => setSelectedId(revision.id)}
+            >
+              <span className="kntnt-global-styles-history__date">{formatDate(revision)}</span>
+              <span className="kntnt-global-styles-history__meta">
+                {revision.author || __('Unknown author', 'kntnt-global-styles')}
+              </span>
+              {revision.post_title && (
+                <span className="kntnt-global-styles-history__meta">
+                  {sprintf(
+                    /* translators: %s: title of the post whose save created the revision */
+                    __('Saved with “%s”', 'kntnt-global-styles'),
+                    revision.post_title
+                  )}
+                </span>
+              )}
+            </Button>
+          </li>
+        ))}
+      </ul>
+      <div className="kntnt-global-styles-history__diff">
+        <div className="kntnt-global-styles-history__diff-header">
+          <span>{__('Selected revision', 'kntnt-global-styles')}</span>
+          <span>{__('Current draft', 'kntnt-global-styles')}</span>
+          <Button
+            variant="primary"
+            disabled={selectedCss === undefined}
+            onClick={() => onRestore(selectedCss)}
+          >
+            {__('Restore this revision', 'kntnt-global-styles')}
+          </Button>
+        </div>
+        {selectedCss === undefined ? <Spinner/> : <DiffView left={selectedCss} right={currentCss}/>}
+      </div>
+    </div>
+  )
+}
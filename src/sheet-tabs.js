@@ -0,0 +1,140 @@
+import { Button, DropdownMenu, TextControl } from '@wordpress/components'
+import { useState } from '@wordpress/element'
+import { __, sprintf } from '@wordpress/i18n'
+import { getSheetNameError } from './sheets'
+
+/**
+ * Moves an item of an array to another position.
+ *
+ * @param {Array} items - The items.
+ * @param {number} from - The current position of the item.
+ * @param {number} to - The new position of the item.
+ * @returns {Array} A copy of the items with the item moved.
+ */
+const moveItem = (items, from, to) => {
+  const moved = [...items]
+  moved.splice(to, 0, ...moved.splice(from, 1))
+  return moved
+}
+
+/**
+ * Tabs for the sheets of the global stylesheet in the Global Style Editor.
+ *
+ * Each sheet has a tab, and the active sheet is shown in the code
+ * editor. Sheets can be added, and the active sheet renamed, moved
+ * earlier or later in the cascade, disabled, enabled and deleted.
+ * Disabled sheets are struck through.
+ *
+ * @param {Object} props - Component props.
+ * @param {Array<Object>} props.sheets - The sheets in cascade order, with their names and whether they are enabled.
+ * @param {number} props.activeIndex - The position of the active sheet.
+ * @param {Function} props.onSelect - Callback receiving the position of the sheet to show.
+ * @param {Function} props.onChange - Callback receiving the changed sheets and the position of the active sheet.
+ * @returns {JSX.Element} The tabs.
+ */
+export const SheetTabs = ({ sheets, activeIndex, onSelect, onChange }) => {
+  const [form, setForm] = useState(null)
+
+  const active = sheets[activeIndex]
+  const currentName = form?.isRenaming ? active.name : ''
+  const error = form && getSheetNameError(form.name.trim(), sheets, currentName)
+
+  /**
+   * Adds the new sheet after the others, or renames the active sheet.
+   */
+  const handleSubmit = () => {
+    const name = form.name.trim()
+    if (form.isRenaming) {
+      onChange(sheets.map((sheet, index) => index === activeIndex ? { ...sheet, name } : sheet), activeIndex)
+    } else {
+      onChange([...sheets, { name, isEnabled: true, css: '' }], sheets.length)
+    }
+    setForm(null)
+  }
+
+  /**
+   * Deletes the active sheet after confirmation.
+   */
+  const handleDelete = () => {
+    const isConfirmed = window.confirm(sprintf(
+      /* translators: %s: sheet name */
+      __('Do you really want to delete the sheet “%s” and all its CSS?', 'kntnt-global-styles'),
+      active.name
+    ))
+    if (isConfirmed) {
+      onChange(sheets.filter((sheet, index) => index !== activeIndex), Math.max(0, activeIndex - 1))
+    }
+  }
+
+  return (
+    <div className="kntnt-global-styles-sheets">
+      <div className="kntnt-global-styles-sheets__tabs" role="tablist" aria-label={__('Sheets', 'kntnt-global-styles')}>
+        {sheets.map((sheet, index) => (
+          <Button
+            key={sheet.name}
+            role="tab"
+            aria-selected={index === activeIndex}
+            className={'kntnt-global-styles-sheets__tab' + (sheet.isEnabled ? '' : ' is-disabled')}
+            isPressed={index === activeIndex}
+            onClick={() => onSelect(index)}
+          >
+            {sheet.name}
+            {!sheet.isEnabled && <span className="screen-reader-text">{__('(disabled)', 'kntnt-global-styles')}</span>}
+          </Button>
+        ))}
+        <Button
+          icon="plus"
+          label={__('Add sheet', 'kntnt-global-styles')}
+          onClick={() => setForm({ name: '', isRenaming: false })}
+          disabled={!!form}
+        />
+        <DropdownMenu
+          icon="ellipsis"
+          label={__('Sheet actions', 'kntnt-global-styles')}
+          controls={[
+            {
+              title: __('Rename', 'kntnt-global-styles'),
+              onClick: () => setForm({ name: active.name, isRenaming: true }),
+            },
+            {
+              title: __('Move earlier', 'kntnt-global-styles'),
+              isDisabled: activeIndex === 0,
+              onClick: () => onChange(moveItem(sheets, activeIndex, activeIndex - 1), activeIndex - 1),
+            },
+            {
+              title: __('Move later', 'kntnt-global-styles'),
+              isDisabled: activeIndex === sheets.length - 1,
+              onClick: () => onChange(moveItem(sheets, activeIndex, activeIndex + 1), activeIndex + 1),
+            },
+            {
+              title: active.isEnabled ? __('Disable', 'kntnt-global-styles') : __('Enable', 'kntnt-global-styles'),
+              onClick: () => onChange(sheets.map((sheet, index) => index === activeIndex ? { ...sheet, isEnabled: !sheet.isEnabled } : sheet), activeIndex),
+            },
+            {
+              title: __('Delete', 'kntnt-global-styles'),
+              isDisabled: sheets.length === 1,
+              onClick: handleDelete,
+            },
+          ]}
+        />
+      </div>
+      {form && (
+        <div className="kntnt-global-styles-sheets__form">
+          <TextControl
+            label={form.isRenaming ? __('New name of the sheet', 'kntnt-global-styles') : __('Name of the new sheet', 'kntnt-global-styles')}
+            value={form.name}
+            onChange={(name) => setForm({ ...form, name })}
+            help={error}
+            __nextHasNoMarginBottom
+          />
+          <Button variant="secondary" onClick={() => setForm(null)}>
+            {__('Cancel', 'kntnt-global-styles')}
+          </Button>
+          <Button variant="primary" disabled={!!error} onClick={handleSubmit}>
+            {form.isRenaming ? __('Rename sheet', 'kntnt-global-styles') : __('Add sheet', 'kntnt-global-styles')}
+          </Button>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,145 @@
+import { __ } from '@wordpress/i18n'
+
+/**
+ * Named sheets of the global stylesheet.
+ *
+ * The stylesheet can be split into sheets, e.g. "tokens", "layout" and
+ * "components", each introduced by a `/* @sheet name *\/` comment on a
+ * line of its own. A sheet is disabled by adding `@disabled` after its
+ * name. The sheets are kept in one stylesheet, so they are drafted,
+ * previewed, published and kept as revisions together. Their order is
+ * the cascade order, and disabled sheets are left out of the output and
+ * the hints. Mirrors `Sheets::parse()` and `Sheets::get_enabled_css()`
+ * in PHP; keep the implementations in sync.
+ */
+
+/**
+ * Regular expression for the comment introducing a sheet.
+ */
+const SHEET_PATTERN = /^\/\*\s*@sheet\s+(?<name>.*?)(?<disabled>\s+@disabled)?\s*\*\/\s*$/
+
+/**
+ * Regular expression for valid sheet names.
+ */
+export const SHEET_NAME_PATTERN = /^[\w-]+(?: [\w-]+)*$/
+
+/**
+ * Name of the sheet holding CSS that doesn't belong to a named sheet,
+ * e.g. a stylesheet from before sheets existed.
+ */
+export const DEFAULT_SHEET_NAME = 'main'
+
+/**
+ * Splits CSS content into sheets.
+ *
+ * CSS before the first sheet comment belongs to a sheet named `main`, as
+ * does all CSS if there are no sheet comments.
+ *
+ * @param {string} css - The CSS content.
+ * @returns {Array<{name: string, isEnabled: boolean, css: string, from: number}>} The sheets in cascade order, with the offset of their CSS in the content.
+ */
+export const parseSheets = (css) => {
+  const sheets = []
+  let current = null
+  let offset = 0
+
+  ;(css || '').split('\n').forEach((line) => {
+    const match = SHEET_PATTERN.exec(line)
+    if (match && match.groups.name) {
+      current = { name: match.groups.name, isEnabled: !match.groups.disabled, lines: [], from: offset + line.length + 1 }
+      sheets.push(current)
+    } else {
+      if (!current) {
+        current = { name: DEFAULT_SHEET_NAME, isEnabled: true, lines: [], from: 0 }
+        sheets.push(current)
+      }
+      current.lines.push(line)
+    }
+    offset += line.length + 1
+  })
+
+  if (!sheets.length) {
+    return [{ name: DEFAULT_SHEET_NAME, isEnabled: true, css: '', from: 0 }]
+  }
+
+  // CSS before the first sheet comment is dropped if there is nothing in it
+  return sheets
+    .filter((sheet, index) => index > 0 || sheet.from > 0 || sheet.lines.join('').trim() || sheets.length === 1)
+    .map(({ name, isEnabled, lines, from }) => ({ name, isEnabled, css: lines.join('\n'), from }))
+}
+
+/**
+ * Joins sheets into CSS content.
+ *
+ * The CSS of each sheet is kept exactly as it is, so that parsing the
+ * result gives the same sheets. A single enabled `main` sheet is written
+ * without a sheet comment.
+ *
+ * @param {Array<{name: string, isEnabled: boolean, css: string}>} sheets - The sheets in cascade order.
+ * @returns {string} The CSS content.
+ */
+export const serializeSheets = (sheets) => {
+  if (sheets.length === 1 && sheets[0].name === DEFAULT_SHEET_NAME && sheets[0].isEnabled) {
+    return sheets[0].css
+  }
+  return sheets
+    .map(({ name, isEnabled, css }) => `/* @sheet ${name}${isEnabled ? '' : ' @disabled'} */\n${css}`)
+    .join('\n')
+}
+
+/**
+ * Gets the CSS of the enabled sheets, in cascade order.
+ *
+ * @param {string} css - The CSS content.
+ * @returns {string} The CSS that is applied.
+ */
+export const getEnabledCSS = (css) => {
+  const sheets = parseSheets(css)
+  if (sheets.every(({ isEnabled }) => isEnabled)) {
+    return css || ''
+  }
+  return sheets
+    .filter(({ isEnabled }) => isEnabled)
+    .map((sheet) => sheet.css)
+    .join('\n')
+}
+
+/**
+ * Adds CSS at the end of the last enabled sheet.
+ *
+ * The CSS is separated from the CSS before it by an empty line. If all
+ * sheets are disabled, it is added at the end of the last sheet.
+ *
+ * @param {string} css - The CSS content.
+ * @param {string} addition - The CSS to add.
+ * @returns {string} The CSS content with the CSS added.
+ */
+export const appendToEnabledSheet = (css, addition) => {
+  const sheets = parseSheets(css)
+  const enabledIndex = sheets.findLastIndex(({ isEnabled }) => isEnabled)
+  const index = enabledIndex >= 0 ? enabledIndex : sheets.length - 1
+  const sheet = sheets[index]
+  sheets[index] = { ...sheet, css: sheet.css.replace(/\s*$/, '') + (sheet.css.trim() ? '\n\n' : '') + addition + '\n' }
+  return serializeSheets(sheets)
+}
+
+/**
+ * Validates the name of a sheet.
+ *
+ * @param {string} name - The name of the sheet.
+ * @param {Array<Object>} sheets - The existing sheets.
+ * @param {string} [currentName] - The current name of a sheet being renamed.
+ * @returns {string|null} The reason the name can't be used, or null if it is valid.
+ */
+export const getSheetNameError = (name, sheets, currentName = '') => {
+  if (!name) {
+    return __('Give the sheet a name.', 'kntnt-global-styles')
+  }
+  if (!SHEET_NAME_PATTERN.test(name)) {
+    return __('The name of a sheet may only contain letters, digits, hyphens, underscores and single spaces.', 'kntnt-global-styles')
+  }
+  if (name !== currentName && sheets.some((sheet) => sheet.name === name)) {
+    return __('There is already a sheet with this name.', 'kntnt-global-styles')
+  }
+  return null
+}
@@ -0,0 +1,234 @@
+import { Button } from '@wordpress/components'
+import { useState, useEffect, useMemo } from '@wordpress/element'
+import { useSelect, useDispatch } from '@wordpress/data'
+import { getBlockType } from '@wordpress/blocks'
+import { PluginPrePublishPanel } from '@wordpress/editor'
+import { __, _n, sprintf } from '@wordpress/i18n'
+import { extractClassesFromCSS } from './css-classes'
+import { getDraft } from './draft'
+import { getEnabledCSS } from './sheets'
+import { splitClassNames, updateBlockClasses } from './block-classes'
+
+/**
+ * Detection of classes that are defined nowhere.
+ *
+ * A class is known if it has a hint, is referenced by a selector in the
+ * global stylesheet or is added by a block style. Other classes are most
+ * likely misspelled, so they are flagged, with the most similar known
+ * class as a suggestion.
+ */
+
+/**
+ * Prefix of classes added by block styles, which are defined by themes
+ * and blocks rather than the global stylesheet.
+ */
+const BLOCK_STYLE_PREFIX = 'is-style-'
+
+/**
+ * The CSS the known classes were last extracted from, and the classes.
+ */
+let extracted = { css: null, classes: [] }
+
+/**
+ * Gets the classes known from the enabled sheets of the draft or persisted
+ * stylesheet and the hints.
+ *
+ * Extracting the classes means parsing the stylesheet, so the result is
+ * kept until the stylesheet changes.
+ *
+ * @returns {Set<string>} The known class names.
+ */
+export const getKnownClasses = () => {
+  const css = getDraft() ?? window.kntnt_global_styles_data?.css_content ?? ''
+  if (extracted.css !== css) {
+    extracted = { css, classes: extractClassesFromCSS(getEnabledCSS(css)) }
+  }
+  return new Set([...extracted.classes, ...Object.keys(window.kntnt_global_styles_data?.available_hints || {})])
+}
+
+/**
+ * Checks whether a class is defined nowhere.
+ *
+ * @param {string} className - The class name.
+ * @param {Set<string>} knownClasses - The known class names.
+ * @returns {boolean} True if the class is unknown.
+ */
+export const isUnknownClass = (className, knownClasses) => !knownClasses.has(className) && !className.startsWith(BLOCK_STYLE_PREFIX)
+
+/**
+ * Calculates the Levenshtein distance between two strings.
+ *
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} The least number of inserted, removed and changed characters turning one string into the other.
+ */
+const getEditDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      )
+    }
+    previous = current
+  }
+  return previous[b.length]
+}
+
+/**
+ * Finds the known class most similar to an unknown class.
+ *
+ * Only classes that differ in at most a third of the characters, and at
+ * most in three, are suggested. Ties are resolved by the order of the
+ * known classes.
+ *
+ * @param {string} className - The unknown class name.
+ * @param {Set<string>} knownClasses - The known class names.
+ * @returns {string|null} The suggested class, or null if no class is similar enough.
+ */
+export const suggestClass = (className, knownClasses) => {
+  const maxDistance = Math.min(3, Math.floor(className.length / 3))
+  let suggestion = null
+  let suggestionDistance = maxDistance + 1
+  knownClasses.forEach((knownClass) => {
+    if (Math.abs(knownClass.length - className.length) >= suggestionDistance) {
+      return
+    }
+    const distance = getEditDistance(className, knownClass)
+    if (distance < suggestionDistance) {
+      suggestion = knownClass
+      suggestionDistance = distance
+    }
+  })
+  return suggestion
+}
+
+/**
+ * Finds unknown classes among the classes of a block.
+ *
+ * @param {Array<string>} classNames - The classes applied to the block.
+ * @param {Set<string>} knownClasses - The known class names.
+ * @returns {Array<Object>} Warnings with a message, and the class to replace it with if there is a suggestion.
+ */
+export const getUnknownClassWarnings = (classNames, knownClasses) => classNames
+  .filter((className) => isUnknownClass(className, knownClasses))
+  .map((className) => {
+    const suggestion = suggestClass(className, knownClasses)
+    return {
+      message: suggestion
+        ? sprintf(
+          /* translators: 1: unknown class name, 2: suggested class name */
+          __('“%1$s” is not defined in the global stylesheet. Did you mean “%2$s”?', 'kntnt-global-styles'),
+          className,
+          suggestion
+        )
+        : sprintf(
+          /* translators: %s: unknown class name */
+          __('“%s” is not defined in the global stylesheet.', 'kntnt-global-styles'),
+          className
+        ),
+      replace: suggestion ? { from: className, to: suggestion } : null,
+    }
+  })
+
+/**
+ * Hook providing the known classes, updated when the stylesheet changes.
+ *
+ * @returns {Set<string>} The known class names.
+ */
+export const useKnownClasses = () => {
+  const [knownClasses, setKnownClasses] = useState(getKnownClasses)
+
+  useEffect(() => {
+    const handleRefresh = () => setKnownClasses(getKnownClasses())
+    document.addEventListener('kntnt-global-styles-refresh', handleRefresh)
+    return () => {
+      document.removeEventListener('kntnt-global-styles-refresh', handleRefresh)
+    }
+  }, [])
+
+  return knownClasses
+}
+
+/**
+ * Pre-publish panel listing the blocks with unknown classes.
+ *
+ * Shown before a post is published if any of its blocks has a class
+ * that is defined nowhere. Each block can be selected, and misspelled
+ * classes replaced with the suggested class.
+ *
+ * @returns {JSX.Element|null} The panel, or null if all classes are known.
+ */
+export const UnknownClassesPanel = () => {
+  const knownClasses = useKnownClasses()
+  const blocks = useSelect((select) => select('core/block-editor').getBlocks(), [])
+  const { selectBlock } = useDispatch('core/block-editor')
+
+  // Blocks with unknown classes, including inner blocks
+  const items = useMemo(() => {
+    const found = []
+    const findUnknown = (innerBlocks) => innerBlocks.forEach((block) => {
+      const warnings = getUnknownClassWarnings(splitClassNames(block.attributes.className), knownClasses)
+      if (warnings.length) {
+        found.push({ clientId: block.clientId, title: getBlockType(block.name)?.title || block.name, warnings })
+      }
+      findUnknown(block.innerBlocks)
+    })
+    findUnknown(blocks)
+    return found
+  }, [blocks, knownClasses])
+
+  if (!items.length) {
+    return null
+  }
+
+  return (
+    <PluginPrePublishPanel
+      title={sprintf(
+        /* translators: %d: number of blocks */
+        _n('Unknown classes in %d block', 'Unknown classes in %d blocks', items.length, 'kntnt-global-styles'),
+        items.length
+      )}
+      initialOpen={true}
+      className="kntnt-global-styles-unknown-classes"
+    >
+      <p>{__('These classes are not defined in the global stylesheet and have no effect. They may be misspelled.', 'kntnt-global-styles')}</p>
+      <ul>
+        {items.map(({ clientId, title, warnings }) => (
+          <li key={clientId}>
+            <Button variant="link" onClick={() => selectBlock(clientId)}>
+              {title}
+            </Button>
+            <ul>
+              {warnings.map((warning) => (
+                <li key={warning.message}>
+                  {warning.message}
+                  {warning.replace && (
+                    <>
+                      {' '}
+                      <Button
+                        variant="link"
+                        onClick={() => updateBlockClasses([clientId], (classes) => classes.map(
+                          (className) => className === warning.replace.from ? warning.replace.to : className
+                        ))}
+                      >
+                        {sprintf(
+                          /* translators: %s: replacement class name */
+                          __('Replace with “%s”', 'kntnt-global-styles'),
+                          warning.replace.to
+                        )}
+                      </Button>
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </li>
+        ))}
+      </ul>
+    </PluginPrePublishPanel>
+  )
+}
@@ -0,0 +1,182 @@
+import { Button, Notice, Spinner } from '@wordpress/components'
+import { useState, useEffect, useMemo } from '@wordpress/element'
+import { __, _n, sprintf } from '@wordpress/i18n'
+import { ajaxRequest } from './ajax'
+import { extractClassesFromCSS } from './css-classes'
+import { parseHintsFromCSS } from './hints'
+
+/**
+ * Prefix of classes added by block styles, which are defined by themes
+ * and blocks rather than the global stylesheet.
+ */
+const BLOCK_STYLE_PREFIX = 'is-style-'
+
+/**
+ * Compares the classes of a stylesheet with their usage in block content.
+ *
+ * @param {string} css - The CSS content.
+ * @param {Object} usage - Posts using each class, keyed by class name.
+ * @returns {{defined: Array<Object>, missing: Array<Object>}} Rows for classes defined or hinted in the stylesheet, and for classes used but defined nowhere.
+ */
+const buildReport = (css, usage) => {
+  const hints = parseHintsFromCSS(css)
+  const defined = new Set([...extractClassesFromCSS(css), ...Object.keys(hints)])
+
+  /**
+   * Creates a report row for a class.
+   *
+   * @param {string} name - The class name.
+   * @returns {Object} The class name, whether it is hinted, the posts using it and the total number of uses.
+   */
+  const createRow = (name) => {
+    const posts = usage[name] || []
+    return {
+      name,
+      isHinted: name in hints,
+      posts,
+      total: posts.reduce((sum, post) => sum + post.count, 0),
+    }
+  }
+
+  return {
+    defined: [...defined].sort().map(createRow),
+    missing: Object.keys(usage)
+      .filter((name) => !defined.has(name) && !name.startsWith(BLOCK_STYLE_PREFIX))
+      .sort()
+      .map(createRow),
+  }
+}
+
+/**
+ * Table of classes with the posts using them.
+ *
+ * @param {Object} props - Component props.
+ * @param {Array<Object>} props.rows - Report rows.
+ * @returns {JSX.Element} The table.
+ */
+const UsageTable = ({ rows }) => (
+  <table className="kntnt-global-styles-usage__table">
+    <thead>
+      <tr>
+        <th>{__('Class', 'kntnt-global-styles')}</th>
+        <th>{__('Blocks', 'kntnt-global-styles')}</th>
+        <th>{__('Used in', 'kntnt-global-styles')}</th>
+      </tr>
+    </thead>
+    <tbody>
+      {rows.map((row) => (
+        <tr key={row.name} className={row.total ? '' : 'is-unused'}>
+          <td>
+            <code>{row.name}</code>
+            {row.isHinted && (
+              <span className="kntnt-global-styles-usage__badge">{__('Hinted', 'kntnt-global-styles')}</span>
+            )}
+            {!row.total && (
+              <span className="kntnt-global-styles-usage__badge is-warning">{__('Unused', 'kntnt-global-styles')}</span>
+            )}
+          </td>
+          <td>{row.total}</td>
+          <td>
+            <ul className="kntnt-global-styles-usage__posts">
+              {row.posts.map((post) => (
+                <li key={post.id}>
+                  {post.link ? (
+                    <a href={post.link} target="_blank" rel="noreferrer">{post.title || __('(no title)', 'kntnt-global-styles')}</a>
+                  ) : (post.title || __('(no title)', 'kntnt-global-styles'))}
+                  {' '}
+                  <span className="kntnt-global-styles-usage__meta">
+                    {sprintf(
+                      /* translators: 1: post type, 2: number of blocks */
+                      _n('%1$s, %2$d block', '%1$s, %2$d blocks', post.count, 'kntnt-global-styles'),
+                      post.type,
+                      post.count
+                    )}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+)
+
+/**
+ * Usage view of the Global Style Editor.
+ *
+ * Lists each class defined or hinted in the stylesheet being edited with
+ * the posts, templates and reusable blocks whose blocks use it, and flags
+ * classes that aren't used anywhere. Classes used in block content but
+ * defined nowhere in the stylesheet are listed separately. Classes added
+ * by block styles are left out, since they are defined elsewhere.
+ *
+ * @param {Object} props - Component props.
+ * @param {string} props.css - The CSS currently in the editor.
+ * @returns {JSX.Element} The usage view.
+ */
+export const UsageReport = ({ css }) => {
+  const [usage, setUsage] = useState(null)
+  const [error, setError] = useState(null)
+  const [scan, setScan] = useState(0)
+
+  // Scan the site's content when the view is shown or a rescan is requested
+  useEffect(() => {
+    setUsage(null)
+    setError(null)
+    ajaxRequest('kntnt_global_styles_get_class_usage')
+      .then((result) => {
+        if (!result.success) {
+          throw new Error(result.data?.message)
+        }
+        setUsage(result.data.usage || {})
+      })
+      .catch((loadError) => {
+        console.error('Kntnt Global Styles: Failed to load class usage:', loadError)
+        setError(loadError.message || __('Could not load the usage of classes.', 'kntnt-global-styles'))
+      })
+  }, [scan])
+
+  const report = useMemo(() => usage && buildReport(css, usage), [css, usage])
+
+  if (error) {
+    return (
+      <Notice status="error" isDismissible={false}>
+        {error}
+      </Notice>
+    )
+  }
+
+  if (!report) {
+    return <Spinner/>
+  }
+
+  const unusedCount = report.defined.filter((row) => !row.total).length
+
+  return (
+    <div className="kntnt-global-styles-usage">
+      <div className="kntnt-global-styles-usage__header">
+        <p>
+          {sprintf(
+            /* translators: 1: number of classes in the stylesheet, 2: number of unused classes, 3: number of undefined classes */
+            __('%1$d classes in the stylesheet, %2$d unused. %3$d classes used in content are not defined in the stylesheet.', 'kntnt-global-styles'),
+            report.defined.length,
+            unusedCount,
+            report.missing.length
+          )}
+        </p>
+        <Button variant="secondary" onClick={() => setScan(scan + 1)}>
+          {__('Rescan', 'kntnt-global-styles')}
+        </Button>
+      </div>
+      <h3>{__('Classes in the stylesheet', 'kntnt-global-styles')}</h3>
+      {report.defined.length ? <UsageTable rows={report.defined}/> : (
+        <p>{__('The stylesheet defines no classes.', 'kntnt-global-styles')}</p>
+      )}
+      <h3>{__('Used but not defined', 'kntnt-global-styles')}</h3>
+      {report.missing.length ? <UsageTable rows={report.missing}/> : (
+        <p>{__('All classes used in content are defined in the stylesheet.', 'kntnt-global-styles')}</p>
+      )}
+    </div>
+  )
+}
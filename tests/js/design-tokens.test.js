@@ -0,0 +1,13 @@
+import { expandTokens } from '../../src/design-tokens'
+import { loadFixtures } from './fixtures'
+
+/**
+ * Tests the expansion of tokens against the fixtures shared with
+ * `tests/php/DesignTokensTest.php`.
+ */
+
+describe('expansion of tokens', () => {
+  test.each(loadFixtures('tokens'))('%s', (name, css, expected) => {
+    expect(expandTokens(css)).toBe(expected)
+  })
+})
@@ -0,0 +1,22 @@
+import { readdirSync, readFileSync } from 'fs'
+import { join } from 'path'
+
+/**
+ * Loads the fixtures of a kind, shared with the PHP tests.
+ *
+ * Each CSS file in the directory is accompanied by a JSON file with the
+ * result expected from it.
+ *
+ * @param {string} dir - The directory of the fixtures, relative to `tests/fixtures`.
+ * @returns {Array<Array>} The name, CSS and expected result of each fixture.
+ */
+export const loadFixtures = (dir) => {
+  const path = join(__dirname, '../fixtures', dir)
+  return readdirSync(path)
+    .filter((file) => file.endsWith('.css'))
+    .map((file) => [
+      file.slice(0, -4),
+      readFileSync(join(path, file), 'utf8'),
+      JSON.parse(readFileSync(join(path, file.slice(0, -4) + '.json'), 'utf8')),
+    ])
+}
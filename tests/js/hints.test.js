@@ -0,0 +1,20 @@
+import { parseHintsFromCSS, parseHintAnnotationsFromCSS } from '../../src/hints'
+import { loadFixtures } from './fixtures'
+
+/**
+ * Tests the parsing of @hint and @group annotations against the fixtures
+ * shared with `tests/php/HintsTest.php`.
+ */
+
+describe('parsing of hints', () => {
+  test.each(loadFixtures('hints'))('%s', (name, css, expected) => {
+    const descriptions = parseHintsFromCSS(css)
+    const annotations = parseHintAnnotationsFromCSS(css)
+    const hints = Object.fromEntries(Object.keys(descriptions).map((className) => [
+      className,
+      { description: descriptions[className], ...annotations[className] },
+    ]))
+    expect(hints).toEqual(expected)
+    expect(Object.keys(hints)).toEqual(Object.keys(expected))
+  })
+})
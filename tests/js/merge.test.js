@@ -0,0 +1,52 @@
+import { mergeStylesheets } from '../../src/merge'
+
+/**
+ * Tests the three-way merge of concurrently edited stylesheets.
+ */
+
+const BASE = [
+  '.a {',
+  '  color: red;',
+  '}',
+  '',
+  '.b {',
+  '  color: green;',
+  '}',
+].join('\n')
+
+describe('merge of stylesheets', () => {
+  test('combines changes that do not overlap', () => {
+    const mine = BASE.replace('color: red', 'color: crimson')
+    const theirs = BASE.replace('color: green', 'color: lime')
+    expect(mergeStylesheets(BASE, mine, theirs)).toEqual({
+      css: BASE.replace('color: red', 'color: crimson').replace('color: green', 'color: lime'),
+      conflicts: 0,
+    })
+  })
+
+  test('marks overlapping changes as a conflict', () => {
+    const mine = BASE.replace('color: red', 'color: crimson')
+    const theirs = BASE.replace('color: red', 'color: maroon')
+    expect(mergeStylesheets(BASE, mine, theirs)).toEqual({
+      css: [
+        '.a {',
+        '<<<<<<< Your changes',
+        '  color: crimson;',
+        '=======',
+        '  color: maroon;',
+        '>>>>>>> Saved by someone else',
+        '}',
+        '',
+        '.b {',
+        '  color: green;',
+        '}',
+      ].join('\n'),
+      conflicts: 1,
+    })
+  })
+
+  test('accepts identical changes on both sides', () => {
+    const edited = BASE.replace('color: red', 'color: crimson')
+    expect(mergeStylesheets(BASE, edited, edited)).toEqual({ css: edited, conflicts: 0 })
+  })
+})
@@ -0,0 +1,41 @@
+import { parsePresetsFromCSS, updatePresetInCSS } from '../../src/hints'
+import { loadFixtures } from './fixtures'
+
+/**
+ * Tests the parsing of @preset annotations against the fixtures shared
+ * with `tests/php/PresetsTest.php`, and the changes of them in the CSS.
+ */
+
+describe('parsing of presets', () => {
+  test.each(loadFixtures('presets'))('%s', (name, css, expected) => {
+    expect(parsePresetsFromCSS(css)).toEqual(expected)
+  })
+})
+
+describe('update of presets in the CSS', () => {
+  const CARD = { name: 'Card', classes: ['card', 'shadow'] }
+
+  test('adds a new preset in a comment at the end of the CSS', () => {
+    expect(updatePresetInCSS('.card {\n  padding: 1rem;\n}\n', '', CARD))
+      .toBe('.card {\n  padding: 1rem;\n}\n\n/* @preset Card | card shadow */\n')
+  })
+
+  test('renames a preset in its place', () => {
+    expect(updatePresetInCSS('/* @preset Box | box */\n.card {}', 'Box', CARD))
+      .toBe('/* @preset Card | card shadow */\n.card {}')
+  })
+
+  test('removes a preset with a comment of its own', () => {
+    expect(updatePresetInCSS('/* @preset Card | card */\n.card {}', 'Card', null))
+      .toBe('.card {}')
+  })
+
+  test('removes a preset that shares its comment', () => {
+    expect(updatePresetInCSS('/**\n * @preset Card | card\n * @preset Hero | hero\n */\n.card {}', 'Card', null))
+      .toBe('/**\n * @preset Hero | hero\n */\n.card {}')
+    expect(updatePresetInCSS('/* @preset Card | card\n * @preset Hero | hero */', 'Card', null))
+      .toBe('/*\n * @preset Hero | hero */')
+    expect(updatePresetInCSS('/* @preset Hero | hero\n * @preset Card | card */', 'Card', null))
+      .toBe('/* @preset Hero | hero\n */')
+  })
+})
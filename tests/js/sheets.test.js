@@ -0,0 +1,21 @@
+import { parseSheets, getEnabledCSS } from '../../src/sheets'
+import { loadFixtures } from './fixtures'
+
+/**
+ * Tests the splitting of the stylesheet into sheets against the fixtures
+ * shared with `tests/php/SheetsTest.php`.
+ */
+
+const fixtures = loadFixtures('sheets')
+
+describe('parsing of sheets', () => {
+  test.each(fixtures)('%s', (name, css, expected) => {
+    expect(parseSheets(css).map(({ name, isEnabled, css }) => ({ name, enabled: isEnabled, css }))).toEqual(expected.sheets)
+  })
+})
+
+describe('CSS of the enabled sheets', () => {
+  test.each(fixtures)('%s', (name, css, expected) => {
+    expect(getEnabledCSS(css)).toBe(expected.enabled_css)
+  })
+})
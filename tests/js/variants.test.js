@@ -0,0 +1,13 @@
+import { parseVariantSetsFromCSS } from '../../src/hints'
+import { loadFixtures } from './fixtures'
+
+/**
+ * Tests the parsing of @variants annotations against the fixtures shared
+ * with `tests/php/VariantsTest.php`.
+ */
+
+describe('parsing of variant sets', () => {
+  test.each(loadFixtures('variants'))('%s', (name, css, expected) => {
+    expect(parseVariantSetsFromCSS(css)).toEqual(expected)
+  })
+})
@@ -0,0 +1,37 @@
+<?php
+
+declare( strict_types = 1 );
+
+namespace Kntnt\Global_Styles\Tests;
+
+use Kntnt\Global_Styles\DesignTokens;
+use PHPUnit\Framework\Attributes\DataProvider;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests the expansion of tokens against the fixtures shared with
+ * `tests/js/design-tokens.test.js`.
+ */
+final class DesignTokensTest extends TestCase {
+
+	/**
+	 * Provides the CSS fixtures with the CSS expected from them.
+	 *
+	 * @return array<string, array{string, string}> CSS and expected CSS keyed by fixture name.
+	 */
+	public static function fixtures(): array {
+		return load_fixtures( 'tokens' );
+	}
+
+	/**
+	 * Expands the tokens of a fixture.
+	 *
+	 * @param string $css      The CSS content.
+	 * @param string $expected The CSS content with the tokens expanded.
+	 */
+	#[DataProvider( 'fixtures' )]
+	public function test_expands_tokens( string $css, string $expected ): void {
+		$this->assertSame( $expected, DesignTokens::expand( $css ) );
+	}
+
+}
@@ -0,0 +1,40 @@
+<?php
+
+declare( strict_types = 1 );
+
+namespace Kntnt\Global_Styles\Tests;
+
+use Kntnt\Global_Styles\Editor;
+use Kntnt\Global_Styles\Revisions;
+use PHPUnit\Framework\Attributes\DataProvider;
+use PHPUnit\Framework\TestCase;
+use ReflectionMethod;
+
+/**
+ * Tests the parsing of @hint and @group annotations against the fixtures
+ * shared with `tests/js/hints.test.js`.
+ */
+final class HintsTest extends TestCase {
+
+	/**
+	 * Provides the CSS fixtures with the hints expected from them.
+	 *
+	 * @return array<string, array{string, array<string, array<string, mixed>>}> CSS and expected hints keyed by fixture name.
+	 */
+	public static function fixtures(): array {
+		return load_fixtures( 'hints' );
+	}
+
+	/**
+	 * Parses the hints of a fixture.
+	 *
+	 * @param string                              $css      The CSS content.
+	 * @param array<string, array<string, mixed>> $expected The hints keyed by class name.
+	 */
+	#[DataProvider( 'fixtures' )]
+	public function test_parses_hints( string $css, array $expected ): void {
+		$parse = new ReflectionMethod( Editor::class, 'parse_hints_from_css' );
+		$this->assertSame( $expected, $parse->invoke( new Editor( new Revisions() ), $css ) );
+	}
+
+}
@@ -0,0 +1,40 @@
+<?php
+
+declare( strict_types = 1 );
+
+namespace Kntnt\Global_Styles\Tests;
+
+use Kntnt\Global_Styles\Editor;
+use Kntnt\Global_Styles\Revisions;
+use PHPUnit\Framework\Attributes\DataProvider;
+use PHPUnit\Framework\TestCase;
+use ReflectionMethod;
+
+/**
+ * Tests the parsing of @preset annotations against the fixtures shared
+ * with `tests/js/presets.test.js`.
+ */
+final class PresetsTest extends TestCase {
+
+	/**
+	 * Provides the CSS fixtures with the presets expected from them.
+	 *
+	 * @return array<string, array{string, array<int, array{name: string, classes: string[]}>}> CSS and expected presets keyed by fixture name.
+	 */
+	public static function fixtures(): array {
+		return load_fixtures( 'presets' );
+	}
+
+	/**
+	 * Parses the presets of a fixture.
+	 *
+	 * @param string                                              $css      The CSS content.
+	 * @param array<int, array{name: string, classes: string[]}> $expected The presets in stylesheet order.
+	 */
+	#[DataProvider( 'fixtures' )]
+	public function test_parses_presets( string $css, array $expected ): void {
+		$parse = new ReflectionMethod( Editor::class, 'parse_presets_from_css' );
+		$this->assertSame( $expected, $parse->invoke( new Editor( new Revisions() ), $css ) );
+	}
+
+}
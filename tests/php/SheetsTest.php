@@ -0,0 +1,48 @@
+<?php
+
+declare( strict_types = 1 );
+
+namespace Kntnt\Global_Styles\Tests;
+
+use Kntnt\Global_Styles\Sheets;
+use PHPUnit\Framework\Attributes\DataProvider;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests the splitting of the stylesheet into sheets against the fixtures
+ * shared with `tests/js/sheets.test.js`.
+ */
+final class SheetsTest extends TestCase {
+
+	/**
+	 * Provides the CSS fixtures with the sheets expected from them.
+	 *
+	 * @return array<string, array{string, array{sheets: array<int, array{name: string, enabled: bool, css: string}>, enabled_css: string}}> CSS and expected result keyed by fixture name.
+	 */
+	public static function fixtures(): array {
+		return load_fixtures( 'sheets' );
+	}
+
+	/**
+	 * Splits a fixture into sheets.
+	 *
+	 * @param string               $css      The CSS content.
+	 * @param array<string, mixed> $expected The expected sheets and CSS of the enabled sheets.
+	 */
+	#[DataProvider( 'fixtures' )]
+	public function test_parses_sheets( string $css, array $expected ): void {
+		$this->assertSame( $expected['sheets'], Sheets::parse( $css ) );
+	}
+
+	/**
+	 * Gets the CSS of the enabled sheets of a fixture.
+	 *
+	 * @param string               $css      The CSS content.
+	 * @param array<string, mixed> $expected The expected sheets and CSS of the enabled sheets.
+	 */
+	#[DataProvider( 'fixtures' )]
+	public function test_gets_enabled_css( string $css, array $expected ): void {
+		$this->assertSame( $expected['enabled_css'], Sheets::get_enabled_css( $css ) );
+	}
+
+}
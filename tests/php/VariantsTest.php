@@ -0,0 +1,40 @@
+<?php
+
+declare( strict_types = 1 );
+
+namespace Kntnt\Global_Styles\Tests;
+
+use Kntnt\Global_Styles\Editor;
+use Kntnt\Global_Styles\Revisions;
+use PHPUnit\Framework\Attributes\DataProvider;
+use PHPUnit\Framework\TestCase;
+use ReflectionMethod;
+
+/**
+ * Tests the parsing of @variants annotations against the fixtures shared
+ * with `tests/js/variants.test.js`.
+ */
+final class VariantsTest extends TestCase {
+
+	/**
+	 * Provides the CSS fixtures with the variant sets expected from them.
+	 *
+	 * @return array<string, array{string, array<int, array{name: string, classes: string[]}>}> CSS and expected variant sets keyed by fixture name.
+	 */
+	public static function fixtures(): array {
+		return load_fixtures( 'variants' );
+	}
+
+	/**
+	 * Parses the variant sets of a fixture.
+	 *
+	 * @param string                                              $css      The CSS content.
+	 * @param array<int, array{name: string, classes: string[]}> $expected The variant sets in stylesheet order.
+	 */
+	#[DataProvider( 'fixtures' )]
+	public function test_parses_variant_sets( string $css, array $expected ): void {
+		$parse = new ReflectionMethod( Editor::class, 'parse_variant_sets_from_css' );
+		$this->assertSame( $expected, $parse->invoke( new Editor( new Revisions() ), $css ) );
+	}
+
+}
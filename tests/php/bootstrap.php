@@ -0,0 +1,37 @@
+<?php
+
+declare( strict_types = 1 );
+
+/**
+ * Bootstraps the unit tests.
+ *
+ * The tested parsers don't depend on WordPress, so only the constant that
+ * guards the plugin files against direct access is defined.
+ */
+
+namespace Kntnt\Global_Styles\Tests;
+
+define( 'ABSPATH', __DIR__ . '/' );
+
+require_once dirname( __DIR__, 2 ) . '/autoloader.php';
+
+/**
+ * Loads the fixtures of a kind, shared with the JavaScript tests.
+ *
+ * Each CSS file in the directory is accompanied by a JSON file with the
+ * result expected from it.
+ *
+ * @param string $dir The directory of the fixtures, relative to `tests/fixtures`.
+ *
+ * @return array<string, array{string, mixed}> CSS and expected result keyed by fixture name.
+ */
+function load_fixtures( string $dir ): array {
+	$fixtures = [];
+	foreach ( glob( dirname( __DIR__ ) . "/fixtures/{$dir}/*.css" ) as $file ) {
+		$fixtures[ basename( $file, '.css' ) ] = [
+			file_get_contents( $file ),
+			json_decode( file_get_contents( substr( $file, 0, -4 ) . '.json' ), true ),
+		];
+	}
+	return $fixtures;
+}
@@ -17,8 +17,9 @@ if ( ! defined( 'WP_UNINSTALL_PLUGIN' ) ) {
 $plugin_file = basename( WP_UNINSTALL_PLUGIN, '.php' );
 $option_name = str_replace( '-', '_', $plugin_file );
 
-// Remove plugin option from WordPress database
+// Remove plugin options from WordPress database
 delete_option( $option_name );
+delete_option( $option_name . '_revisions' );
 
 // Clean up generated CSS file and plugin directory in uploads
 $plugin_dir_path = wp_upload_dir()['basedir'] . '/' . $plugin_file;